@@ -9,7 +9,7 @@
  * @license ISC
  */
 
-import { GoLEngine } from './lib/GoLEngine.js'
+import { GoLEngine, Clock } from './lib/GoLEngine.js'
 import { SimpleGradientRenderer } from './lib/SimpleGradientRenderer.js'
 import { GRADIENT_PRESETS } from './lib/GradientPresets.js'
 import { Collision } from './lib/Collision.js'
@@ -18,6 +18,7 @@ import { seedRadialDensity, applyLifeForce, maintainDensity } from './lib/GoLHel
 import { updateParticles, renderParticles } from './lib/ParticleHelpers.js'
 import { createPatternRenderer, RenderMode, PatternName } from './lib/PatternRenderer.js'
 import { initHitboxDebug, drawHitboxRect, drawHitboxes } from './lib/HitboxDebug.js'
+import { globalRandom, setGlobalSeed, dailySeed } from './lib/Random.js'
 import {
   GAME_DIMENSIONS,
   GAMEOVER_CONFIG,
@@ -150,6 +151,7 @@ const GOOGLE_COLORS = {
 // GAME STATE
 // ============================================
 const state = createGameState({
+  seed: null,  // Seed of the current run (logged for bug reports)
   spawnTimer: 0,
   cloudSpawnTimer: 0,  // Timer for cloud spawning
   groundLineSpawnTimer: 0,  // Timer for ground line spawning
@@ -284,7 +286,25 @@ function setup() {
   initGame()
 }
 
+/**
+ * Pick the seed for a run.
+ * ?seed=12345 (or any string) replays a run, ?seed=daily gives today's shared run,
+ * otherwise every run gets a fresh time-based seed.
+ *
+ * @returns {number|string} Seed
+ */
+function getRunSeed() {
+  const param = new URLSearchParams(window.location.search).get('seed')
+  if (param === 'daily') return dailySeed()
+  if (param !== null) return /^\d+$/.test(param) ? Number(param) : param
+  return Math.floor(Math.random() * 4294967296)
+}
+
 function initGame() {
+  // Reseed so spawns, particles and obstacles replay identically for the same seed
+  state.seed = getRunSeed()
+  setGlobalSeed(state.seed)
+
   state.score = 0
   state.phase = 'PLAYING'
   state.frameCount = 0
@@ -358,7 +378,7 @@ function initParallax() {
   for (let i = 0; i < CONFIG.parallax.cloudDensity; i++) {
     const cloud = spawnCloud()
     // Distribute clouds across screen width
-    cloud.x = i * spacing + random(-spacing * 0.3, spacing * 0.3)
+    cloud.x = i * spacing + globalRandom.range(-spacing * 0.3, spacing * 0.3)
     clouds.push(cloud)
   }
 }
@@ -369,7 +389,7 @@ function initParallax() {
  */
 function spawnCloud() {
   // Select random pattern from still lifes
-  const patternName = random(CONFIG.parallax.patterns)
+  const patternName = globalRandom.pick(CONFIG.parallax.patterns)
 
   // Select random multicolor gradient for variety
   const gradients = [
@@ -377,7 +397,7 @@ function spawnCloud() {
     GRADIENT_PRESETS.ENEMY_COLD,
     GRADIENT_PRESETS.ENEMY_RAINBOW
   ]
-  const randomGradient = random(gradients)
+  const randomGradient = globalRandom.pick(gradients)
 
   // Create renderer with static mode (still lifes don't evolve)
   const renderer = createPatternRenderer({
@@ -392,7 +412,7 @@ function spawnCloud() {
 
   const cloud = {
     x: GAME_DIMENSIONS.BASE_WIDTH,  // Start off-screen right
-    y: random(100, 800),  // Random vertical position
+    y: globalRandom.range(100, 800),  // Random vertical position
     vx: CONFIG.parallax.scrollSpeed,
     pattern: patternName,
     gol: renderer.gol,
@@ -492,7 +512,7 @@ function initGroundLines() {
   for (let i = 0; i < CONFIG.groundLines.density; i++) {
     const gLine = spawnGroundLine()
     // Distribute lines across screen width
-    gLine.x = i * spacing + random(-spacing * 0.3, spacing * 0.3)
+    gLine.x = i * spacing + globalRandom.range(-spacing * 0.3, spacing * 0.3)
     groundLines.push(gLine)
   }
 }
@@ -504,8 +524,8 @@ function initGroundLines() {
 function spawnGroundLine() {
   return {
     x: GAME_DIMENSIONS.BASE_WIDTH,  // Start off-screen right
-    y: CONFIG.horizonY + random(CONFIG.groundLines.yOffsetMin, CONFIG.groundLines.yOffsetMax),
-    length: random(CONFIG.groundLines.minLength, CONFIG.groundLines.maxLength),
+    y: CONFIG.horizonY + globalRandom.range(CONFIG.groundLines.yOffsetMin, CONFIG.groundLines.yOffsetMax),
+    length: globalRandom.range(CONFIG.groundLines.minLength, CONFIG.groundLines.maxLength),
     vx: CONFIG.groundLines.speed,
     dead: false
   }
@@ -631,7 +651,7 @@ function updateGame() {
   )
 
   // Add random variability (±40 frames) for Chrome Dino-style spacing
-  const randomOffset = random(-CONFIG.obstacle.intervalVariability, CONFIG.obstacle.intervalVariability)
+  const randomOffset = globalRandom.range(-CONFIG.obstacle.intervalVariability, CONFIG.obstacle.intervalVariability)
   const currentInterval = Math.max(
     CONFIG.obstacle.minInterval,
     baseInterval + randomOffset
@@ -649,7 +669,7 @@ function updateGame() {
     // Update GoL according to type
     if (obs.type === 'oscillator') {
       // Only oscillators animate (BLINKER, TOAD, BEACON)
-      obs.gol.updateThrottled(state.frameCount)
+      obs.gol.updateThrottled(deltaTime)  // p5.js ms since last frame
     }
     // Still lifes are static
     // They are frozen by PatternRenderer with RenderMode.STATIC
@@ -712,7 +732,7 @@ function updatePlayer() {
 
 function spawnObstacle() {
   // Phase 3.4: Randomly choose ground obstacle pattern
-  const patternConfig = random(CONFIG.obstaclePatterns)
+  const patternConfig = globalRandom.pick(CONFIG.obstaclePatterns)
 
   // Create renderer using PatternRenderer
   const renderer = createPatternRenderer({
@@ -720,7 +740,8 @@ function spawnObstacle() {
     pattern: patternConfig.pattern,
     phase: patternConfig.phase !== undefined ? patternConfig.phase : undefined,
     globalCellSize: 30,
-    loopUpdateRate: 10  // 10fps for oscillators only
+    loopUpdateRate: 10,  // 10fps for oscillators only
+    clock: Clock.TIME    // Same animation speed on 60Hz and 120Hz displays
   })
 
   const dims = renderer.dimensions
@@ -757,7 +778,7 @@ function spawnObstacle() {
 }
 
 function updateParticlesOnly() {
-  particles = updateParticles(particles, state.frameCount)
+  particles = updateParticles(particles, deltaTime)  // p5.js ms since last frame
 }
 
 function checkCollisions() {
@@ -789,14 +810,14 @@ function checkCollisions() {
 function spawnExplosion(x, y) {
   for (let i = 0; i < 8; i++) {
     const particle = {
-      x: x + random(-30, 30),  // Scaled: -10 to 10 × 3
-      y: y + random(-30, 30),
-      vx: random(-9, 9),       // Scaled: -3 to 3 × 3
-      vy: random(-9, 9),
+      x: x + globalRandom.range(-30, 30),  // Scaled: -10 to 10 × 3
+      y: y + globalRandom.range(-30, 30),
+      vx: globalRandom.range(-9, 9),       // Scaled: -3 to 3 × 3
+      vy: globalRandom.range(-9, 9),
       alpha: 255,
       width: 180,   // 60 × 3 = 180 (scaled)
       height: 180,  // 60 × 3 = 180
-      gol: new GoLEngine(6, 6, 30),  // 6×6 grid maintained
+      gol: new GoLEngine(6, 6, 30, { clock: Clock.TIME }),  // 6×6 grid maintained, same speed on any display
       cellSize: 30,  // Scaled to 30px (3x from 10px baseline)
       gradient: GRADIENT_PRESETS.EXPLOSION,
       dead: false
@@ -112,6 +112,62 @@ export const Collision = {
     return px >= rx && px <= rx + rw && py >= ry && py <= ry + rh
   },
 
+  /**
+   * Which team owns the cell of a GoL entity under a point.
+   * With colour rules (Rules.IMMIGRATION, Rules.QUADLIFE) the cell state is
+   * its colour, i.e. its team (see Team in GoLEngine).
+   *
+   * @param {number} px - Point x
+   * @param {number} py - Point y
+   * @param {Object} entity - Entity with gol (GoLEngine), x, y and cellSize
+   * @returns {number} Cell state under the point (0 = dead or outside the grid)
+   *
+   * @example
+   * if (Collision.cellOwnerAt(bullet.x, bullet.y, arena) === Team.ENEMY) {
+   *   // Bullet hit an enemy-owned cell
+   * }
+   */
+  cellOwnerAt(px, py, entity) {
+    const gridX = Math.floor((px - entity.x) / entity.cellSize)
+    const gridY = Math.floor((py - entity.y) / entity.cellSize)
+    return entity.gol.getCell(gridX, gridY)
+  },
+
+  /**
+   * Count the live cells of each team inside a rectangle.
+   *
+   * @param {number} rx - Rectangle top-left x
+   * @param {number} ry - Rectangle top-left y
+   * @param {number} rw - Rectangle width
+   * @param {number} rh - Rectangle height
+   * @param {Object} entity - Entity with gol (GoLEngine), x, y and cellSize
+   * @returns {number[]} Cell count per state (index = team; index 0 unused)
+   *
+   * @example
+   * const teams = Collision.teamCellsInRect(player.x, player.y, player.width, player.height, arena)
+   * if (teams[Team.ENEMY] > 0) {
+   *   // Player touches enemy cells
+   * }
+   */
+  teamCellsInRect(rx, ry, rw, rh, entity) {
+    const counts = new Array(entity.gol.rule ? entity.gol.rule.states : 2).fill(0)
+    const live = entity.gol.rule ? entity.gol.rule.live : null
+    const x0 = Math.max(0, Math.floor((rx - entity.x) / entity.cellSize))
+    const y0 = Math.max(0, Math.floor((ry - entity.y) / entity.cellSize))
+    const x1 = Math.min(entity.gol.cols - 1, Math.floor((rx + rw - entity.x) / entity.cellSize))
+    const y1 = Math.min(entity.gol.rows - 1, Math.floor((ry + rh - entity.y) / entity.cellSize))
+
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const state = entity.gol.getCell(x, y)
+        if (live ? live[state] : state !== 0) {
+          counts[state]++
+        }
+      }
+    }
+    return counts
+  },
+
   /**
    * Calculate distance between two points.
    *
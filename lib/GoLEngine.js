@@ -1,16 +1,464 @@
 /**
  * Conway's Game of Life Engine with double buffer pattern.
- * Implements B3/S23 rules (Birth: 3 neighbors, Survival: 2 or 3 neighbors).
+ * Implements any life-like rule in B/S notation (default: Conway's B3/S23,
+ * Birth: 3 neighbors, Survival: 2 or 3 neighbors) and Generations rules
+ * in B/S/C notation, where cells fade through dying states before death.
+ *
+ * STORAGE:
+ * - Cells live in two flat Uint8Array buffers (current/next), column-major
+ * - Each buffer has a ring of "ghost" cells around the grid, as wide as the
+ *   rule's neighborhood radius (1, or r for Larger-than-Life), so the
+ *   neighbor pass never needs bounds checks
+ * - engine.current[x][y] / engine.next[x][y] are column views (subarrays)
+ *   into those buffers, kept for code that reads the grid directly
+ * - Non-dead boundaries (torus, mirror, Klein bottle) refill the ghost ring
+ *   from the grid edges before each generation
+ * - Changing to a rule with another radius reallocates the buffers
+ *
+ * NEIGHBORHOODS: Moore (default), von Neumann, hexagonal ('H' suffix, odd
+ * rows offset half a cell) and Larger-than-Life (radius r), see parseRule()
+ *
+ * ACTIVE-REGION TRACKING:
+ * - The grid is split into square tiles (default 8×8, never smaller than the radius)
+ * - update() only recomputes tiles that changed last generation, plus their
+ *   neighbors; empty and stable areas cost nothing
+ * - A running population count makes countAliveCells()/getDensity() O(1)
+ *
+ * SHAPE TRACKING:
+ * - Live counts per column and per row, plus running sums of x, y, x² and y²,
+ *   are updated with every cell change (only changed cells cost anything)
+ * - getBoundingBox(), getCentroid() and getExtent() read them without
+ *   scanning the grid, so hitboxes and cameras can follow the real shape
+ * - Code that writes engine.current[x][y] directly must call invalidate()
+ *   afterwards (setCell/setPattern do this bookkeeping automatically)
+ *
+ * AGE TRACKING (optional, options.trackAge):
+ * - A Uint32Array stores the generation each live cell was born in, so ages
+ *   stay correct for cells in skipped (stable) tiles at no per-step cost
+ * - getCellAge(x, y) = generations the cell has been alive (0 when just born
+ *   or not alive); dying Generations states count as not alive
+ *
+ * STATE DETECTION (optional, options.detectState):
+ * - After each generation the grid is hashed relative to its bounding box
+ *   and compared with the last options.stateHistory generations
+ * - getState() reports extinct, stable, oscillating (period N) or
+ *   translating (period N, displacement dx/dy); 'statechange' and per-state
+ *   events ('extinct', 'stable', ...) fire when the state changes
+ * - Translation is not detected while a pattern wraps across a torus edge
+ *
+ * BIRTH/DEATH DIFFS (optional, options.trackChanges):
+ * - After each update() the tiles that changed are compared against the
+ *   previous generation (still held in the back buffer after the swap)
+ * - getBirths()/getDeaths() list the cells that became alive / stopped being
+ *   alive; 'birth' and 'death' events fire with the same lists
+ *
+ * SNAPSHOTS & HISTORY:
+ * - snapshot()/restore() capture grid, generation, frozen flag and throttle
+ *   accumulator as a small JSON-safe object (cells bit-packed, base64)
+ * - options.historySize keeps raw copies of the last N generations in a
+ *   ring buffer, so stepBack() can rewind without re-simulating
+ *
+ * PATTERN FILES: GoLEngine.fromRLE() and toRLE() read and write the standard
+ * RLE format (see Patterns.parseRLE()), so patterns from LifeWiki or Golly
+ * can be pasted in as text. toPattern() returns the grid as a Pattern value
+ * (row-major, with the rule); setPattern() accepts Patterns and raw arrays.
  *
  * @author Game of Life Arcade
  * @license ISC
  */
 
+import { globalRandom } from './Random.js'
+import { circleMask, customMask, rasterizeMask } from './Masks.js'
+import { parseRLE, toRLE, patternCells } from './Patterns.js'
+import { Pattern } from './Pattern.js'
+
 const ALIVE = 1
 const DEAD = 0
+const SNAPSHOT_VERSION = 1
+
+/**
+ * Well-known life-like, Generations and Larger-than-Life rulestrings.
+ * Sources: https://conwaylife.com/wiki/List_of_Life-like_rules
+ *          https://conwaylife.com/wiki/Generations
+ *          https://conwaylife.com/wiki/Larger_than_Life
+ */
+const Rules = {
+  CONWAY: 'B3/S23',              // Conway's Game of Life (default)
+  HIGHLIFE: 'B36/S23',           // Like Conway, plus a replicator
+  SEEDS: 'B2/S',                 // Every live cell dies, explosive growth
+  DAY_AND_NIGHT: 'B3678/S34678', // Symmetric under live/dead inversion
+  LIFE_WITHOUT_DEATH: 'B3/S012345678',
+  MAZE: 'B3/S12345',
+  DIAMOEBA: 'B35678/S5678',
+  MORLEY: 'B368/S245',
+
+  // Generations rules (multi-state, cells fade through dying states)
+  BRIANS_BRAIN: 'B2/S/C3',       // Every live cell dies, leaving a 1-generation trail
+  STAR_WARS: 'B2/S345/C4',       // Long-lived ships with 2-state trails
+  FIREWORKS: 'B13/S2/C21',       // Short bursts with very long trails
+
+  // Other neighborhoods
+  HEX_LIFE: 'B2/S34H',           // Hexagonal grid, 6 neighbors (has gliders)
+  VON_NEUMANN_PARITY: 'B13/S13V', // 4 neighbors, every pattern replicates
+  BOSCO: 'R5,C0,M1,S34..58,B34..45,NM',    // Larger-than-Life, radius 5, blob-like "bugs"
+  MAJORITY: 'R4,C0,M1,S41..81,B41..81,NM', // Larger-than-Life voting rule, smooth blobs
+
+  // Colour rules (B3/S23, newborns take their parents' majority colour)
+  IMMIGRATION: 'Immigration',    // 2 colours
+  QUADLIFE: 'QuadLife'           // 4 colours (3 different parents → the 4th colour)
+}
+
+/**
+ * Suggested meaning of cell colours under colour rules (Rules.IMMIGRATION,
+ * Rules.QUADLIFE). A cell's state is its colour, so a newborn cell's owner is
+ * the team most of its parents belonged to.
+ */
+const Team = {
+  NONE: 0,      // Dead cell
+  PLAYER: 1,
+  ENEMY: 2,
+  NEUTRAL: 3,   // QuadLife only (e.g. debris)
+  BONUS: 4      // QuadLife only (e.g. power-ups)
+}
+
+const COLOR_RULES = { IMMIGRATION: 2, QUADLIFE: 4 }  // Upper-cased name -> colours
+
+/**
+ * Which cells count as neighbors.
+ * Hexagonal grids wrap cleanly on a torus or Klein bottle only with an even
+ * number of rows (otherwise the row offsets don't line up across the seam).
+ */
+const Neighborhood = {
+  MOORE: 'moore',              // 8 surrounding cells (radius r: (2r+1)² - 1 cells)
+  VON_NEUMANN: 'vonneumann',   // 4 orthogonal cells (radius r: diamond |dx| + |dy| <= r)
+  HEXAGONAL: 'hexagonal'       // 6 cells of a hex grid (odd rows offset half a cell)
+}
+
+const NEIGHBORHOOD_SUFFIXES = { M: Neighborhood.MOORE, V: Neighborhood.VON_NEUMANN, H: Neighborhood.HEXAGONAL }
+const NEIGHBORHOOD_LETTERS = { moore: 'M', vonneumann: 'V', hexagonal: 'H' }
+const MAX_RADIUS = 10  // Larger-than-Life radius limit (ghost ring width)
+
+/**
+ * Edge behaviour for cells outside the grid.
+ */
+const Boundary = {
+  DEAD: 'dead',      // Out-of-bounds cells are always dead (fixed boundary)
+  TORUS: 'torus',    // Left/right and top/bottom edges wrap around
+  MIRROR: 'mirror',  // Edge cells are reflected (neighbor past the edge = the edge cell)
+  KLEIN: 'klein'     // Left/right wrap; top/bottom wrap with a horizontal flip
+}
+
+/**
+ * How setPattern() combines a pattern with the cells underneath.
+ * "Set" pattern cells are the non-dead ones.
+ */
+const BlendMode = {
+  REPLACE: 'replace',  // Every cell under the pattern becomes the pattern's value (dead included)
+  OR: 'or',            // Set pattern cells are written; the rest stays (add without erasing)
+  XOR: 'xor',          // Set pattern cells toggle the cell underneath (alive → dead, else → pattern value)
+  AND: 'and',          // Cells under dead pattern cells die; the rest stays (mask / shield shape)
+  CLEAR: 'clear'       // Cells under set pattern cells die (damage in the pattern's shape)
+}
+
+/**
+ * Where resize() keeps the existing cells when the grid grows or shrinks.
+ */
+const Anchor = {
+  TOP_LEFT: 'top-left',
+  TOP: 'top',
+  TOP_RIGHT: 'top-right',
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  BOTTOM_LEFT: 'bottom-left',
+  BOTTOM: 'bottom',
+  BOTTOM_RIGHT: 'bottom-right'
+}
+const ANCHOR_FACTORS = {  // Anchor -> share of the size change added [left, top]
+  [Anchor.TOP_LEFT]: [0, 0],
+  [Anchor.TOP]: [0.5, 0],
+  [Anchor.TOP_RIGHT]: [1, 0],
+  [Anchor.LEFT]: [0, 0.5],
+  [Anchor.CENTER]: [0.5, 0.5],
+  [Anchor.RIGHT]: [1, 0.5],
+  [Anchor.BOTTOM_LEFT]: [0, 1],
+  [Anchor.BOTTOM]: [0.5, 1],
+  [Anchor.BOTTOM_RIGHT]: [1, 1]
+}
+
+/**
+ * Long-term behaviour of the grid, as reported by getState().
+ */
+const LifeState = {
+  EVOLVING: 'evolving',        // No repeat found in the recent history
+  EXTINCT: 'extinct',          // No cells left
+  STABLE: 'stable',            // Still life (period 1)
+  OSCILLATING: 'oscillating',  // Repeats in place every `period` generations
+  TRANSLATING: 'translating'   // Repeats shifted by (dx, dy) every `period` generations
+}
+
+/**
+ * What updateThrottled() measures between generations.
+ */
+const Clock = {
+  FRAME: 'frame',  // Count calls, assuming a 60fps main loop (speed follows refresh rate)
+  TIME: 'time'     // Accumulate real elapsed milliseconds (same speed on any display)
+}
+
+/**
+ * Parse a rulestring into a transition lookup table.
+ *
+ * Accepted formats (case-insensitive):
+ * - B/S notation: 'B36/S23', 'S23/B36', 'B2/S' (empty survival set)
+ * - Legacy S/B notation: '23/36' (survival digits first)
+ * - Generations: 'B2/S/C3' (C = number of states, including dead and alive),
+ *   legacy S/B/C: '/2/3'
+ * - Neighborhood suffix on any of the above: 'B2/S34H' (hexagonal),
+ *   'B13/S13V' (von Neumann), 'M' (Moore, the default)
+ * - Larger-than-Life: 'R5,C0,M1,S34..58,B34..45,NM'
+ *   (R = radius, C = states (0 means 2), M1 = count the cell itself,
+ *   S/B = survival/birth count ranges, NM = square (Moore) or NN = diamond (von Neumann))
+ * - Colour rules: 'Immigration' (2 colours), 'QuadLife' (4 colours)
+ *
+ * GENERATIONS:
+ * - State 0 is dead, state 1 is alive, states 2..C-1 are "dying"
+ * - A live cell that fails survival starts dying instead of dying at once
+ * - Dying cells advance one state per generation and ignore their neighbors
+ * - Only state 1 counts as a live neighbor
+ *
+ * COLOURS (family 'colors'):
+ * - States 1..colors are live cells of different colours (see Team)
+ * - Live cells keep their colour; a newborn takes the majority colour of its
+ *   live neighbors (3 parents under B3; if all differ, the missing colour)
+ * - The table holds ALIVE for births; the engine picks the colour
+ *
+ * The returned table is indexed by `state * span + neighbors` (span = maxNeighbors + 1,
+ * 9 for Moore) and holds the next state, so a generation needs one array read per cell.
+ *
+ * @param {string} rulestring - Rule in B/S, B/S/C or Larger-than-Life notation
+ * @returns {Object} Parsed rule
+ *   {
+ *     rulestring: string,     // Normalized form ('B3/S23', 'B2/S/C3', 'B2/S34H', 'R5,C0,...')
+ *     family: string,         // 'life' (2 states), 'generations' or 'colors'
+ *     colors: number,         // Live colours (1, or 2/4 for colour rules)
+ *     birth: number[],        // Neighbor counts that give birth
+ *     survival: number[],     // Neighbor counts that survive
+ *     states: number,         // Number of cell states (2 for life-like rules)
+ *     neighborhood: string,   // Neighborhood value
+ *     radius: number,         // Neighborhood range (1 except Larger-than-Life)
+ *     includeCenter: boolean, // Cell counts itself (Larger-than-Life M1)
+ *     maxNeighbors: number,   // Largest possible neighbor count
+ *     span: number,           // maxNeighbors + 1 (table row length)
+ *     table: Uint8Array,      // (states * span)-entry transition table
+ *     live: Uint8Array        // live[state] = 1 if the state counts as alive
+ *   }
+ * @throws {Error} If the rulestring is malformed
+ *
+ * @example
+ * const highLife = parseRule('B36/S23')
+ * highLife.table[0 * 9 + 6]  // 1 (dead cell with 6 neighbors is born)
+ *
+ * @example
+ * const brain = parseRule(Rules.BRIANS_BRAIN)  // 'B2/S/C3'
+ * brain.table[1 * 9 + 4]  // 2 (live cell starts dying)
+ *
+ * @example
+ * parseRule(Rules.BOSCO).radius  // 5
+ */
+function parseRule(rulestring) {
+  if (typeof rulestring !== 'string') {
+    throw new Error(`[GoLEngine] Rule must be a string, got ${typeof rulestring}`)
+  }
+
+  const text = rulestring.trim().toUpperCase()
+  if (text.startsWith('R') && text.includes(',')) {
+    return parseLargerThanLifeRule(rulestring, text)
+  }
+  if (COLOR_RULES[text]) {
+    const colors = COLOR_RULES[text]
+    const name = colors === 2 ? Rules.IMMIGRATION : Rules.QUADLIFE
+    return buildRule(rulestring, name, [3], [2, 3], colors + 1, Neighborhood.MOORE, 1, false, colors)
+  }
+
+  const invalid = () => new Error(`[GoLEngine] Invalid rulestring: '${rulestring}' (expected e.g. 'B3/S23' or 'B2/S/C3')`)
+  let birthDigits = null
+  let survivalDigits = null
+  let statesDigits = null
+
+  // Neighborhood suffix: 'B2/S34H', 'B13/S13V'
+  const suffix = /[MVH]$/.exec(text)
+  const neighborhood = suffix ? NEIGHBORHOOD_SUFFIXES[suffix[0]] : Neighborhood.MOORE
+  const body = suffix ? text.slice(0, -1) : text
+
+  const parts = body.split('/')
+  if (parts.length !== 2 && parts.length !== 3) {
+    throw invalid()
+  }
+
+  for (const part of parts) {
+    if (part.startsWith('B') && birthDigits === null) {
+      birthDigits = part.slice(1)
+    } else if (part.startsWith('S') && survivalDigits === null) {
+      survivalDigits = part.slice(1)
+    } else if ((part.startsWith('C') || part.startsWith('G')) && statesDigits === null) {
+      statesDigits = part.slice(1)
+    }
+  }
+
+  // Legacy S/B(/C) notation ('23/3', '/2/3') has no letters: survival comes first
+  if (birthDigits === null && survivalDigits === null && statesDigits === null && !/[A-Z]/.test(body)) {
+    survivalDigits = parts[0]
+    birthDigits = parts[1]
+    statesDigits = parts.length === 3 ? parts[2] : null
+  }
+
+  if (birthDigits === null || survivalDigits === null ||
+      !/^[0-8]*$/.test(birthDigits) || !/^[0-8]*$/.test(survivalDigits) ||
+      (parts.length === 3) !== (statesDigits !== null) ||
+      (statesDigits !== null && !/^[0-9]+$/.test(statesDigits))) {
+    throw invalid()
+  }
+
+  const states = statesDigits === null ? 2 : parseInt(statesDigits, 10)
+  const birth = [...new Set(birthDigits.split('').map(Number))].sort((a, b) => a - b)
+  const survival = [...new Set(survivalDigits.split('').map(Number))].sort((a, b) => a - b)
+
+  const maxNeighbors = neighborhoodDeltas(neighborhood, 1, false, 0).length
+  if (birth.concat(survival).some(n => n > maxNeighbors)) {
+    throw new Error(`[GoLEngine] Invalid rulestring: '${rulestring}' (${neighborhood} cells have at most ${maxNeighbors} neighbors)`)
+  }
+
+  const suffixLetter = neighborhood === Neighborhood.MOORE ? '' : NEIGHBORHOOD_LETTERS[neighborhood]
+  const normalized = `B${birth.join('')}/S${survival.join('')}` + (states > 2 ? `/C${states}` : '') + suffixLetter
+
+  return buildRule(rulestring, normalized, birth, survival, states, neighborhood, 1, false)
+}
+
+/**
+ * Parse a Larger-than-Life rulestring ('R5,C0,M1,S34..58,B34..45,NM').
+ *
+ * @private
+ * @param {string} rulestring - Original rulestring (for error messages)
+ * @param {string} text - Trimmed, upper-cased rulestring
+ * @returns {Object} Parsed rule (see parseRule())
+ * @throws {Error} If the rulestring is malformed
+ */
+function parseLargerThanLifeRule(rulestring, text) {
+  const match = /^R(\d+),C(\d+),M([01]),S(\d+)(?:\.\.(\d+))?,B(\d+)(?:\.\.(\d+))?,N([MN])$/.exec(text)
+  if (!match) {
+    throw new Error(`[GoLEngine] Invalid rulestring: '${rulestring}' (expected e.g. 'R5,C0,M1,S34..58,B34..45,NM')`)
+  }
+
+  const radius = parseInt(match[1], 10)
+  const states = Math.max(2, parseInt(match[2], 10))
+  const includeCenter = match[3] === '1'
+  const neighborhood = match[8] === 'M' ? Neighborhood.MOORE : Neighborhood.VON_NEUMANN
+  if (radius < 1 || radius > MAX_RADIUS) {
+    throw new Error(`[GoLEngine] Invalid rulestring: '${rulestring}' (radius must be 1-${MAX_RADIUS})`)
+  }
+
+  const maxNeighbors = neighborhoodDeltas(neighborhood, radius, includeCenter, 0).length
+  const range = (from, to) => {
+    const low = parseInt(from, 10)
+    const high = to === undefined ? low : parseInt(to, 10)
+    if (low > high || high > maxNeighbors) {
+      throw new Error(`[GoLEngine] Invalid rulestring: '${rulestring}' (count range ${low}..${high} outside 0..${maxNeighbors})`)
+    }
+    return Array.from({ length: high - low + 1 }, (_, i) => low + i)
+  }
+  const survival = range(match[4], match[5])
+  const birth = range(match[6], match[7])
+
+  const span = (counts) => counts.length > 1 ? `${counts[0]}..${counts[counts.length - 1]}` : `${counts[0]}`
+  const normalized = `R${radius},C${states > 2 ? states : 0},M${includeCenter ? 1 : 0},` +
+    `S${span(survival)},B${span(birth)},N${match[8]}`
+
+  return buildRule(rulestring, normalized, birth, survival, states, neighborhood, radius, includeCenter)
+}
+
+/**
+ * Build the transition table for a parsed rule.
+ *
+ * @private
+ * @param {number} [colors=1] - Live colours (states 1..colors all alive, no dying states)
+ * @returns {Object} Parsed rule (see parseRule())
+ */
+function buildRule(rulestring, normalized, birth, survival, states, neighborhood, radius, includeCenter, colors = 1) {
+  if (states < 2 || states > 255) {
+    throw new Error(`[GoLEngine] Invalid rulestring: '${rulestring}' (state count must be 2-255)`)
+  }
+
+  const maxNeighbors = neighborhoodDeltas(neighborhood, radius, includeCenter, 0).length
+  const span = maxNeighbors + 1
+
+  // table[state * span + neighbors] = next state
+  const firstDying = states > colors + 1 ? colors + 1 : DEAD
+  const table = new Uint8Array(states * span)
+  for (let n = 0; n <= maxNeighbors; n++) {
+    table[DEAD * span + n] = birth.includes(n) ? ALIVE : DEAD
+    table[ALIVE * span + n] = survival.includes(n) ? ALIVE : firstDying
+    for (let state = ALIVE + 1; state < states; state++) {
+      if (state <= colors) {
+        table[state * span + n] = survival.includes(n) ? state : DEAD  // Colours survive like ALIVE
+      } else {
+        table[state * span + n] = state + 1 < states ? state + 1 : DEAD
+      }
+    }
+  }
+
+  const live = new Uint8Array(256)
+  live.fill(1, ALIVE, colors + 1)
+
+  return {
+    rulestring: normalized,
+    family: colors > 1 ? 'colors' : states > 2 ? 'generations' : 'life',
+    colors,
+    birth,
+    survival,
+    states,
+    neighborhood,
+    radius,
+    includeCenter,
+    maxNeighbors,
+    span,
+    table,
+    live
+  }
+}
+
+/**
+ * Neighbor offsets of a cell.
+ *
+ * Hexagonal grids use "odd-r" offset rows: odd rows are drawn shifted half a
+ * cell to the right (see SimpleGradientRenderer), so the 6 neighbors depend on
+ * the row's parity.
+ *
+ * @param {string} neighborhood - Neighborhood value
+ * @param {number} radius - Range (Moore/von Neumann)
+ * @param {boolean} includeCenter - Include [0, 0]
+ * @param {number} rowParity - y & 1 (only matters for hexagonal)
+ * @returns {number[][]} Array of [dx, dy]
+ */
+function neighborhoodDeltas(neighborhood, radius, includeCenter, rowParity) {
+  if (neighborhood === Neighborhood.HEXAGONAL) {
+    const shift = rowParity ? 0 : -1  // Diagonal neighbors lean towards the row's offset
+    const deltas = [[shift, -1], [shift + 1, -1], [-1, 0], [1, 0], [shift, 1], [shift + 1, 1]]
+    return includeCenter ? [[0, 0], ...deltas] : deltas
+  }
+
+  const deltas = []
+  for (let dx = -radius; dx <= radius; dx++) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      if (dx === 0 && dy === 0 && !includeCenter) continue
+      if (neighborhood === Neighborhood.VON_NEUMANN && Math.abs(dx) + Math.abs(dy) > radius) continue
+      deltas.push([dx, dy])
+    }
+  }
+  return deltas
+}
 
 /**
- * Game of Life Engine implementing Conway's B3/S23 rules with double buffer.
+ * Game of Life Engine implementing life-like rules (default B3/S23) with double buffer.
  */
 class GoLEngine {
   /**
@@ -19,324 +467,2105 @@ class GoLEngine {
    * @param {number} cols - Number of columns in the grid
    * @param {number} rows - Number of rows in the grid
    * @param {number} updateRateFPS - Target update rate in frames per second (default: 10)
+   * @param {Object} [options] - Engine options
+   * @param {string|Object} [options.rule='B3/S23'] - Rulestring (see Rules) or parsed rule
+   *   (Generations rules like 'B2/S/C3' store a state number 0..C-1 per cell)
+   * @param {string} [options.boundary='dead'] - Edge behaviour (see Boundary)
+   * @param {number} [options.tileSize=8] - Tile size for active-region tracking
+   * @param {boolean} [options.trackAge=false] - Keep per-cell ages (see getCellAge())
+   * @param {boolean} [options.detectState=false] - Detect extinction/still life/oscillation (see getState())
+   * @param {number} [options.stateHistory=64] - Generations kept for state detection (max detectable period)
+   * @param {SeededRandom} [options.rng=globalRandom] - Generator for randomSeed() and GoLHelpers
+   * @param {number} [options.historySize=0] - Generations kept for stepBack() (0 = no history)
+   * @param {boolean} [options.trackChanges=false] - List births/deaths after each update (see getBirths())
+   * @param {string} [options.clock='frame'] - What updateThrottled() counts (see Clock)
+   * @param {number} [options.maxCatchUpSteps=4] - Max generations per updateThrottled() call in time mode
+   *
+   * @example
+   * // HighLife enemy (B36/S23)
+   * const enemy = new GoLEngine(10, 10, 12, { rule: Rules.HIGHLIFE })
+   *
+   * @example
+   * // Glider that wraps around its sprite forever
+   * const drone = new GoLEngine(8, 8, 10, { boundary: Boundary.TORUS })
    */
-  constructor(cols, rows, updateRateFPS = 10) {
+  constructor(cols, rows, updateRateFPS = 10, options = {}) {
     this.cols = cols
     this.rows = rows
     this._updateRateFPS = updateRateFPS  // Private storage
     this.framesBetweenUpdates = 60 / updateRateFPS  // Assuming 60fps main loop
     this.frameCounter = 0
-    this._throttleAccumulator = 0  // Accumulator for fractional frames
+    this._throttleAccumulator = 0  // Accumulator for fractional frames (or ms in time mode)
+    this.maxCatchUpSteps = options.maxCatchUpSteps || 4
+    this.setClock(options.clock || Clock.FRAME)
 
     // Double buffer - CRITICAL for correct GoL implementation
-    this.current = this.create2DArray(cols, rows)
-    this.next = this.create2DArray(cols, rows)
+    // Allocated by setRule() (ghost ring width depends on the rule's radius)
+    this.cells = null
+    this.nextCells = null
+    this._requestedTileSize = options.tileSize || 8
+    this._population = 0  // Running live cell count
+    this._sumX = 0  // Running sums over live cells (see getCentroid(), getExtent())
+    this._sumY = 0
+    this._sumXX = 0
+    this._sumYY = 0
+    this.boundary = Boundary.DEAD
 
     this.generation = 0
     this._frozen = false  // Freeze state for static patterns
+    this.rng = options.rng || globalRandom  // Seedable randomness (see Random.js)
+    this._birthGeneration = null  // Per-cell birth generation (age tracking only)
+    this._historySize = 0
+    this._listeners = new Map()  // Event name -> Set of handlers
+
+    // State detection: ring buffer of recent generation signatures
+    this.stateHistory = options.stateHistory || 64
+    this._signatures = []
+    this._signatureHead = 0
+    this._state = { type: LifeState.EVOLVING, period: 0, dx: 0, dy: 0 }
+    this._detectState = false
+
+    this.setRule(options.rule || Rules.CONWAY)
+    this.setBoundary(options.boundary || Boundary.DEAD)
+    this.setAgeTracking(options.trackAge || false)
+    this.setStateDetection(options.detectState || false)
+    this.setHistorySize(options.historySize || 0)
+    this._births = []
+    this._deaths = []
+    this.setChangeTracking(options.trackChanges || false)
+  }
+
+  /**
+   * Subscribe to an engine event.
+   * Subscribing to 'statechange' or a LifeState event enables state detection;
+   * subscribing to 'birth' or 'death' enables change tracking.
+   *
+   * @param {string} event - Event name ('statechange', a LifeState value, 'birth' or 'death')
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * particle.gol.on('extinct', () => seedRadialDensity(particle.gol))
+   *
+   * @example
+   * obstacle.gol.on('statechange', ({ state }) => {
+   *   if (state.type === LifeState.STABLE) obstacle.gol.freeze()
+   * })
+   *
+   * @example
+   * enemy.gol.on('birth', ({ cells }) => {
+   *   cells.forEach(({ x, y }) => spawnSpark(enemy.x + x * cellSize, enemy.y + y * cellSize))
+   * })
+   */
+  on(event, handler) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set())
+    }
+    this._listeners.get(event).add(handler)
+
+    if (event === 'statechange' || Object.values(LifeState).includes(event)) {
+      this.setStateDetection(true)
+    } else if (event === 'birth' || event === 'death') {
+      this.setChangeTracking(true)
+    }
+    return () => this.off(event, handler)
+  }
+
+  /**
+   * Unsubscribe from an engine event.
+   *
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(event, handler) {
+    const handlers = this._listeners.get(event)
+    if (handlers) {
+      handlers.delete(handler)
+    }
+  }
+
+  /**
+   * Call every handler subscribed to an event.
+   *
+   * @private
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  _emit(event, payload) {
+    const handlers = this._listeners.get(event)
+    if (!handlers) return
+
+    for (const handler of [...handlers]) {
+      handler(payload)
+    }
+  }
+
+  /**
+   * Enable or disable state detection (extinction, still life, oscillation, translation).
+   * Costs one pass over the grid per generation while enabled.
+   *
+   * @param {boolean} enabled - True to detect state after every generation
+   */
+  setStateDetection(enabled) {
+    if (enabled && !this._detectState) {
+      this.resetStateHistory()
+    }
+    this._detectState = enabled
+  }
+
+  /**
+   * Forget recorded generations (e.g. after the rule or boundary changed).
+   * The state returns to EVOLVING until a repeat is seen again.
+   */
+  resetStateHistory() {
+    this._signatures = []
+    this._signatureHead = 0
+    this._state = { type: LifeState.EVOLVING, period: 0, dx: 0, dy: 0 }
+  }
+
+  /**
+   * Get the detected long-term state of the grid.
+   * Only updated while state detection is enabled.
+   *
+   * @returns {Object} State
+   *   {
+   *     type: string,    // LifeState value
+   *     period: number,  // Generations per cycle (0 if evolving/extinct, 1 if stable)
+   *     dx: number,      // Displacement per cycle (translating only)
+   *     dy: number
+   *   }
+   *
+   * @example
+   * const gol = new GoLEngine(20, 20, 10, { detectState: true })
+   * gol.setPattern(Patterns.GLIDER, 2, 2)
+   * for (let i = 0; i < 5; i++) gol.update()
+   * gol.getState()  // { type: 'translating', period: 4, dx: 1, dy: 1 }
+   */
+  getState() {
+    return { ...this._state }
+  }
+
+  /**
+   * Enable or disable per-cell age tracking.
+   * Cells alive when tracking is enabled start at age 0.
+   *
+   * @param {boolean} enabled - True to track ages
+   *
+   * @example
+   * enemy.gol.setAgeTracking(true)  // Opt in for age-based rendering
+   */
+  setAgeTracking(enabled) {
+    if (!enabled) {
+      this._birthGeneration = null
+    } else if (!this._birthGeneration) {
+      this._birthGeneration = new Uint32Array(this.cells.length).fill(this.generation)
+    }
+  }
+
+  /**
+   * Check whether per-cell ages are being tracked.
+   *
+   * @returns {boolean} True if getCellAge() returns real ages
+   */
+  isTrackingAge() {
+    return this._birthGeneration !== null
+  }
+
+  /**
+   * Get how many generations a cell has been alive.
+   * Resets to 0 on death; a cell born this generation has age 0.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} Age in generations (0 if dead, dying, out of bounds or not tracking)
+   *
+   * @example
+   * const gol = new GoLEngine(10, 10, 12, { trackAge: true })
+   * gol.setPattern(Patterns.BLOCK, 4, 4)
+   * gol.update()
+   * gol.update()
+   * gol.getCellAge(4, 4)  // 2
+   */
+  getCellAge(x, y) {
+    if (!this._birthGeneration || x < 0 || x >= this.cols || y < 0 || y >= this.rows) {
+      return 0
+    }
+
+    const i = (x + this.pad) * this.stride + (y + this.pad)
+    return this._live[this.cells[i]] ? this.generation - this._birthGeneration[i] : 0
+  }
+
+  /**
+   * Change the edge behaviour used by update().
+   *
+   * @param {string} boundary - Boundary.DEAD | TORUS | MIRROR | KLEIN
+   * @throws {Error} If the boundary is unknown
+   *
+   * @example
+   * gol.setBoundary(Boundary.MIRROR)  // Sprite edges no longer erode
+   */
+  setBoundary(boundary) {
+    if (!Object.values(Boundary).includes(boundary)) {
+      throw new Error(`[GoLEngine] Invalid boundary: ${boundary}. Must be one of: ${Object.values(Boundary).join(', ')}`)
+    }
+
+    this.boundary = boundary
+    this._ghostSources = this.buildGhostSources()
+
+    // Dead boundary relies on an all-zero ghost ring in both buffers
+    if (boundary === Boundary.DEAD) {
+      this.clearGhostCells(this.cells)
+      this.clearGhostCells(this.nextCells)
+    }
+
+    // Edge cells may now evolve differently
+    this._dirtyTiles.fill(1)
+    if (this._detectState) {
+      this.resetStateHistory()
+    }
+  }
+
+  /**
+   * Map a possibly out-of-bounds coordinate onto the grid according to the boundary.
+   *
+   * @param {number} x - Column index (may be outside the grid)
+   * @param {number} y - Row index (may be outside the grid)
+   * @returns {number[]|null} [x, y] inside the grid, or null for a dead cell
+   */
+  resolveBoundary(x, y) {
+    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
+      return [x, y]
+    }
+
+    switch (this.boundary) {
+      case Boundary.TORUS:
+        return [wrap(x, this.cols), wrap(y, this.rows)]
+      case Boundary.MIRROR:
+        return [clampIndex(x, this.cols), clampIndex(y, this.rows)]
+      case Boundary.KLEIN: {
+        // Each vertical wrap flips the x axis
+        const turns = Math.floor(y / this.rows)
+        const flippedX = (turns % 2 !== 0) ? this.cols - 1 - x : x
+        return [wrap(flippedX, this.cols), wrap(y, this.rows)]
+      }
+      default:
+        return null  // Out of bounds cells are treated as dead (fixed boundary)
+    }
+  }
+
+  /**
+   * Refill the ghost ring of the current buffer from the grid edges.
+   * Called by update() for every boundary except DEAD.
+   */
+  fillGhostCells() {
+    const cells = this.cells
+    const sources = this._ghostSources
+    for (let k = 0; k < sources.length; k += 2) {
+      cells[sources[k]] = cells[sources[k + 1]]
+    }
+  }
+
+  /**
+   * Precompute where each ghost cell copies from under the current boundary.
+   *
+   * @returns {Int32Array} Flat pairs [ghostIndex, sourceIndex, ...] (empty for DEAD)
+   */
+  buildGhostSources() {
+    if (this.boundary === Boundary.DEAD) {
+      return new Int32Array(0)
+    }
+
+    const pairs = []
+    const pad = this.pad
+    for (let x = -pad; x < this.cols + pad; x++) {
+      for (let y = -pad; y < this.rows + pad; y++) {
+        if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) continue
+
+        const [sx, sy] = this.resolveBoundary(x, y)
+        pairs.push(this.index(x, y), this.index(sx, sy))
+      }
+    }
+    return Int32Array.from(pairs)
+  }
+
+  /**
+   * Zero the ghost ring of a buffer.
+   *
+   * @param {Uint8Array} buffer - Flat cell buffer
+   */
+  clearGhostCells(buffer) {
+    const stride = this.stride
+    const pad = this.pad
+    buffer.fill(DEAD, 0, pad * stride)
+    buffer.fill(DEAD, (this.cols + pad) * stride)
+    for (let x = pad; x < this.cols + pad; x++) {
+      buffer.fill(DEAD, x * stride, x * stride + pad)
+      buffer.fill(DEAD, x * stride + pad + this.rows, (x + 1) * stride)
+    }
+  }
+
+  /**
+   * (Re)allocate cell buffers for a ghost ring of the given width.
+   * Live cells are kept; tiles, views, ages and history are rebuilt.
+   *
+   * @param {number} pad - Ghost ring width (the rule's neighborhood radius)
+   */
+  allocateCells(pad) {
+    const old = this.cells
+    const oldPad = this.pad
+    const oldStride = this.stride
+
+    // Flat column-major storage: index = (x + pad) * stride + (y + pad)
+    this.pad = pad
+    this.stride = this.rows + 2 * pad
+    this.cells = new Uint8Array((this.cols + 2 * pad) * this.stride)
+    this.nextCells = new Uint8Array(this.cells.length)
+
+    if (old) {
+      for (let x = 0; x < this.cols; x++) {
+        const from = (x + oldPad) * oldStride + oldPad
+        this.cells.set(old.subarray(from, from + this.rows), this.index(x, 0))
+      }
+    }
+
+    // Compatibility views: current[x][y] reads/writes this.cells directly
+    this.current = this.createColumnViews(this.cells)
+    this.next = this.createColumnViews(this.nextCells)
+
+    // Active-region tracking: tiles changed last generation (or written since)
+    // A change can only reach the neighboring tile if tiles are at least as wide as the radius
+    this.tileSize = Math.max(this._requestedTileSize, pad)
+    this.tilesX = Math.ceil(this.cols / this.tileSize)
+    this.tilesY = Math.ceil(this.rows / this.tileSize)
+    this._dirtyTiles = new Uint8Array(this.tilesX * this.tilesY)
+    this._nextDirtyTiles = new Uint8Array(this.tilesX * this.tilesY)
+    this._activeTiles = new Uint8Array(this.tilesX * this.tilesY)
+
+    // Shape tracking (recounted by invalidate())
+    this._colCounts = new Uint32Array(this.cols)
+    this._rowCounts = new Uint32Array(this.rows)
+
+    this._ghostSources = this.buildGhostSources()
+    if (this._birthGeneration) {
+      this._birthGeneration = new Uint32Array(this.cells.length).fill(this.generation)
+    }
+    if (this._historySize > 0) {
+      this.setHistorySize(this._historySize)
+    }
+  }
+
+  /**
+   * Change the rule used by update().
+   * Takes effect from the next generation. The grid is left untouched, except
+   * that dying states the new rule does not have are cleared to DEAD.
+   * A rule with another neighborhood radius reallocates the cell buffers
+   * (engine.current/next views are replaced, history is cleared).
+   *
+   * @param {string|Object} rule - Rulestring (e.g. 'B36/S23') or result of parseRule()
+   * @throws {Error} If the rulestring is malformed
+   *
+   * @example
+   * gol.setRule(Rules.SEEDS)  // Switch to explosive B2/S
+   */
+  setRule(rule) {
+    this.rule = typeof rule === 'string' ? parseRule(rule) : rule
+    this._ruleTable = this.rule.table
+    this._live = this.rule.live
+    this._deltas = [0, 1].map(parity => neighborhoodDeltas(
+      this.rule.neighborhood, this.rule.radius, this.rule.includeCenter, parity))
+
+    if (!this.cells || this.pad !== this.rule.radius) {
+      this.allocateCells(this.rule.radius)
+    }
+    this._offsets = this._deltas.map(deltas =>
+      Int32Array.from(deltas, ([dx, dy]) => dx * this.stride + dy))
+    this._mooreKernel = this.rule.neighborhood === Neighborhood.MOORE &&
+      this.rule.radius === 1 && !this.rule.includeCenter
+
+    // Cells in states the new rule does not have become dead
+    if (this.cells.some(state => state >= this.rule.states)) {
+      this.cells.forEach((state, i) => {
+        if (state >= this.rule.states) this.cells[i] = DEAD
+      })
+    }
+
+    // Stable areas under the old rule may not be stable under the new one
+    this.invalidate()
+    if (this._detectState) {
+      this.resetStateHistory()
+    }
+  }
+
+  /**
+   * Get the current rulestring.
+   *
+   * @returns {string} Normalized rulestring (e.g. 'B3/S23' or 'B2/S/C3')
+   */
+  getRule() {
+    return this.rule.rulestring
+  }
+
+  /**
+   * Get the current update rate in FPS.
+   * @returns {number} Update rate in frames per second
+   */
+  get updateRateFPS() {
+    return this._updateRateFPS
+  }
+
+  /**
+   * Set the update rate in FPS. Automatically recalculates framesBetweenUpdates.
+   * @param {number} fps - New update rate in frames per second
+   */
+  set updateRateFPS(fps) {
+    this._updateRateFPS = fps
+    this.framesBetweenUpdates = 60 / fps  // Recalculate throttle interval
+    this._throttleAccumulator = 0  // Reset accumulator when rate changes
+  }
+
+  /**
+   * Milliseconds between generations in time mode.
+   * @returns {number} 1000 / updateRateFPS
+   */
+  get msBetweenUpdates() {
+    return 1000 / this._updateRateFPS
+  }
+
+  /**
+   * Choose what updateThrottled() counts.
+   *
+   * @param {string} clock - Clock.FRAME or Clock.TIME
+   * @throws {Error} If the clock is unknown
+   *
+   * @example
+   * gol.setClock(Clock.TIME)
+   * gol.updateThrottled(deltaTime)  // p5.js ms since last frame
+   */
+  setClock(clock) {
+    if (!Object.values(Clock).includes(clock)) {
+      throw new Error(`[GoLEngine] Invalid clock: ${clock}. Must be one of: ${Object.values(Clock).join(', ')}`)
+    }
+
+    this.clock = clock
+    this._throttleAccumulator = 0  // Frames and milliseconds don't mix
+  }
+
+  /**
+   * Create a 2D array initialized with zeros (dead cells).
+   *
+   * @param {number} cols - Number of columns
+   * @param {number} rows - Number of rows
+   * @returns {number[][]} 2D array of dead cells
+   */
+  create2DArray(cols, rows) {
+    const arr = new Array(cols)
+    for (let i = 0; i < cols; i++) {
+      arr[i] = new Array(rows).fill(DEAD)
+    }
+    return arr
+  }
+
+  /**
+   * Create per-column views into a flat cell buffer.
+   * views[x][y] aliases buffer[index(x, y)], so writes go straight to the buffer.
+   * Ghost cells are outside every view and cannot be written through it.
+   *
+   * @param {Uint8Array} buffer - Flat cell buffer (this.cells or this.nextCells)
+   * @returns {Uint8Array[]} Column views, indexed [x][y]
+   */
+  createColumnViews(buffer) {
+    const views = new Array(this.cols)
+    for (let x = 0; x < this.cols; x++) {
+      const start = (x + this.pad) * this.stride + this.pad
+      views[x] = buffer.subarray(start, start + this.rows)
+    }
+    return views
+  }
+
+  /**
+   * Flat buffer index of a cell (no bounds check).
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} Index into this.cells / this.nextCells
+   */
+  index(x, y) {
+    return (x + this.pad) * this.stride + (y + this.pad)
+  }
+
+  /**
+   * Set a specific cell to alive or dead.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @param {number} state - ALIVE or DEAD (or a dying state 2..C-1 for Generations rules)
+   */
+  setCell(x, y, state) {
+    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
+      this.writeCell(x, y, state)
+    }
+  }
+
+  /**
+   * Write an in-bounds cell and keep population and dirty tiles up to date.
+   *
+   * @param {number} x - Column index (must be in bounds)
+   * @param {number} y - Row index (must be in bounds)
+   * @param {number} state - ALIVE or DEAD
+   */
+  writeCell(x, y, state) {
+    const i = (x + this.pad) * this.stride + (y + this.pad)
+    const old = this.cells[i]
+    if (old === state) return
+
+    this.cells[i] = state
+    const delta = this._live[state] - this._live[old]
+    if (delta !== 0) {
+      this._population += delta
+      this._trackShape(x, y, delta)
+    }
+    this._dirtyTiles[this.tileIndex(x, y)] = 1
+
+    if (this._birthGeneration && this._live[state] && !this._live[old]) {
+      this._birthGeneration[i] = this.generation
+    }
+  }
+
+  /**
+   * Update shape tracking for a cell that became alive (+1) or stopped being alive (-1).
+   *
+   * @private
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @param {number} delta - +1 or -1
+   */
+  _trackShape(x, y, delta) {
+    this._colCounts[x] += delta
+    this._rowCounts[y] += delta
+    this._sumX += delta * x
+    this._sumY += delta * y
+    this._sumXX += delta * x * x
+    this._sumYY += delta * y * y
+  }
+
+  /**
+   * Index of the tile containing a cell.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} Tile index (column-major, like cells)
+   */
+  tileIndex(x, y) {
+    return Math.floor(x / this.tileSize) * this.tilesY + Math.floor(y / this.tileSize)
+  }
+
+  /**
+   * Resynchronize tracking after writing engine.current[x][y] directly.
+   * Recounts the population and shape, and marks every tile for recomputation.
+   * Ages of cells revived this way are not reset (use setCell() for that).
+   *
+   * @example
+   * gol.current[2][3] = ALIVE  // Bypasses setCell()
+   * gol.invalidate()
+   */
+  invalidate() {
+    this._population = 0
+    this._colCounts.fill(0)
+    this._rowCounts.fill(0)
+    this._sumX = this._sumY = this._sumXX = this._sumYY = 0
+
+    for (let x = 0; x < this.cols; x++) {
+      let i = (x + this.pad) * this.stride + this.pad
+      for (let y = 0; y < this.rows; y++, i++) {
+        if (this._live[this.cells[i]]) {
+          this._population++
+          this._trackShape(x, y, 1)
+        }
+      }
+    }
+    this._dirtyTiles.fill(1)
+  }
+
+  /**
+   * Get the state of a specific cell.
+   *
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} ALIVE or DEAD (or a dying state for Generations rules)
+   */
+  getCell(x, y) {
+    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
+      return this.cells[(x + this.pad) * this.stride + (y + this.pad)]
+    }
+    return DEAD  // Out of bounds = dead
+  }
+
+  /**
+   * Clear the grid (set all cells to dead).
+   */
+  clearGrid() {
+    this.cells.fill(DEAD)
+    this.nextCells.fill(DEAD)
+    this._population = 0
+    this._colCounts.fill(0)
+    this._rowCounts.fill(0)
+    this._sumX = this._sumY = this._sumXX = this._sumYY = 0
+    this._dirtyTiles.fill(0)  // Both buffers agree everywhere
+    this.generation = 0
+  }
+
+  /**
+   * Give every live cell one colour (colour rules), e.g. to tag an entity's team.
+   *
+   * @param {number} color - Colour (1..rule.colors, see Team)
+   * @throws {Error} If the rule has no such colour
+   *
+   * @example
+   * enemy.gol = new GoLEngine(8, 8, 10, { rule: Rules.IMMIGRATION })
+   * enemy.gol.randomSeed(0.4)
+   * enemy.gol.recolor(Team.ENEMY)
+   */
+  recolor(color) {
+    if (!Number.isInteger(color) || color < ALIVE || color > this.rule.colors) {
+      throw new Error(`[GoLEngine] Invalid colour ${color} for rule ${this.rule.rulestring} (1-${this.rule.colors})`)
+    }
+
+    for (let x = 0; x < this.cols; x++) {
+      for (let y = 0; y < this.rows; y++) {
+        if (this._live[this.getCell(x, y)]) {
+          this.writeCell(x, y, color)
+        }
+      }
+    }
+  }
+
+  /**
+   * Seed the grid with random cells (~30% density).
+   *
+   * @param {number} density - Probability of a cell being alive (default: 0.3)
+   * @param {SeededRandom} [rng=this.rng] - Random generator
+   *
+   * @example
+   * gol.randomSeed(0.3, new SeededRandom(42))  // Same grid every run
+   */
+  randomSeed(density = 0.3, rng = this.rng) {
+    for (let x = 0; x < this.cols; x++) {
+      let i = (x + this.pad) * this.stride + this.pad
+      for (let y = 0; y < this.rows; y++, i++) {
+        this.cells[i] = rng.next() < density ? ALIVE : DEAD
+      }
+    }
+    this.invalidate()
+    this.generation = 0
+
+    if (this._birthGeneration) {
+      this._birthGeneration.fill(0)
+    }
+  }
+
+  /**
+   * Count live neighbors for a cell in the rule's neighborhood (8 for Moore).
+   * Bounds-checked helper for arbitrary grids; update() uses a flat pass instead.
+   * Out-of-bounds neighbors follow the engine's boundary (see resolveBoundary()).
+   * Dying cells (Generations rules) are not counted.
+   *
+   * @param {number[][]} grid - The grid to read from (e.g. engine.current)
+   * @param {number} x - Column index
+   * @param {number} y - Row index
+   * @returns {number} Number of live neighbors (0 to rule.maxNeighbors)
+   */
+  countLiveNeighbors(grid, x, y) {
+    let count = 0
+
+    // Hexagonal neighbors depend on the row's parity
+    for (const [dx, dy] of this._deltas[y & 1]) {
+      // Map through the boundary and count if alive
+      const neighbor = this.resolveBoundary(x + dx, y + dy)
+      if (neighbor) {
+        count += this._live[grid[neighbor[0]][neighbor[1]]]
+      }
+    }
+
+    return count
+  }
+
+  /**
+   * Apply Conway's B3/S23 rules.
+   * Birth: exactly 3 neighbors → becomes alive
+   * Survival: 2 or 3 neighbors → stays alive
+   * Death: < 2 (underpopulation) or > 3 (overpopulation) → dies
+   *
+   * @param {number} currentState - Current cell state (ALIVE or DEAD)
+   * @param {number} neighbors - Number of live neighbors
+   * @returns {number} Next state (ALIVE or DEAD)
+   */
+  applyB3S23Rules(currentState, neighbors) {
+    if (currentState === ALIVE) {
+      // Survival: 2 or 3 neighbors
+      return (neighbors === 2 || neighbors === 3) ? ALIVE : DEAD
+    } else {
+      // Birth: exactly 3 neighbors
+      return (neighbors === 3) ? ALIVE : DEAD
+    }
+  }
+
+  /**
+   * Apply the engine's current rule (see setRule()).
+   * Under colour rules a birth returns ALIVE; the newborn's colour depends on
+   * its parents and is chosen by update().
+   *
+   * @param {number} currentState - Current cell state (ALIVE, DEAD, a dying state or a colour)
+   * @param {number} neighbors - Number of live neighbors
+   * @returns {number} Next state
+   */
+  applyRule(currentState, neighbors) {
+    return this._ruleTable[currentState * this.rule.span + neighbors]
+  }
+
+  /**
+   * Advance one generation, then run state detection if enabled.
+   * Subclasses that post-process generations override step(), not update().
+   */
+  update() {
+    if (this._historySize > 0) {
+      this.recordHistory()
+    }
+
+    this.step()
+
+    if (this._trackChanges) {
+      this.collectChanges()
+    }
+    if (this._detectState) {
+      this.detectState()
+    }
+  }
+
+  /**
+   * Enable or disable birth/death lists (see getBirths(), getDeaths()).
+   * Costs a scan of the changed tiles per generation while enabled.
+   *
+   * @param {boolean} enabled - True to collect changes after every update()
+   */
+  setChangeTracking(enabled) {
+    this._trackChanges = enabled
+    if (!enabled) {
+      this._births = []
+      this._deaths = []
+    }
+  }
+
+  /**
+   * Cells that became alive in the last update().
+   *
+   * @returns {Object[]} Array of { x, y } (empty if change tracking is off)
+   */
+  getBirths() {
+    return this._births
+  }
+
+  /**
+   * Cells that stopped being alive in the last update() (including cells
+   * that started dying under a Generations rule).
+   *
+   * @returns {Object[]} Array of { x, y } (empty if change tracking is off)
+   */
+  getDeaths() {
+    return this._deaths
+  }
+
+  /**
+   * Diff the new generation against the previous one and emit 'birth'/'death'.
+   *
+   * Right after step() the back buffer holds the previous generation in every
+   * tile (skipped tiles are identical in both buffers), so only dirty tiles
+   * need comparing. Writes made by step() overrides after the swap (e.g.
+   * CircularMaskedGoL's mask) are included.
+   */
+  collectChanges() {
+    const live = this._live
+    const cells = this.cells
+    const previous = this.nextCells
+    const tileSize = this.tileSize
+    const births = []
+    const deaths = []
+
+    for (let tx = 0; tx < this.tilesX; tx++) {
+      for (let ty = 0; ty < this.tilesY; ty++) {
+        if (!this._dirtyTiles[tx * this.tilesY + ty]) continue
+
+        const x0 = tx * tileSize
+        const y0 = ty * tileSize
+        const x1 = Math.min(x0 + tileSize, this.cols)
+        const y1 = Math.min(y0 + tileSize, this.rows)
+        for (let x = x0; x < x1; x++) {
+          let i = this.index(x, y0)
+          for (let y = y0; y < y1; y++, i++) {
+            const now = live[cells[i]]
+            if (now !== live[previous[i]]) {
+              (now ? births : deaths).push({ x, y })
+            }
+          }
+        }
+      }
+    }
+
+    this._births = births
+    this._deaths = deaths
+
+    if (births.length > 0) {
+      this._emit('birth', { cells: births, generation: this.generation })
+    }
+    if (deaths.length > 0) {
+      this._emit('death', { cells: deaths, generation: this.generation })
+    }
+  }
+
+  /**
+   * Compute the next generation using double buffer pattern.
+   * CRITICAL: Never modifies current grid while reading it.
+   *
+   * PERFORMANCE: Neighbors are read at fixed offsets in the flat buffer.
+   * Edge cells read the ghost ring, so no per-cell bounds checks.
+   * Only tiles next to a change are recomputed (see collectActiveTiles()).
+   *
+   * INVARIANT: every tile not marked dirty holds the same cells in both
+   * buffers, so skipped tiles are already correct after the swap.
+   */
+  step() {
+    if (this.boundary !== Boundary.DEAD) {
+      this.fillGhostCells()
+    }
+
+    const active = this.collectActiveTiles()
+    const changed = this._nextDirtyTiles
+    changed.fill(0)
+
+    // Read from current, write to next (active tiles only)
+    const tileSize = this.tileSize
+    for (let tx = 0; tx < this.tilesX; tx++) {
+      for (let ty = 0; ty < this.tilesY; ty++) {
+        const t = tx * this.tilesY + ty
+        if (active[t] && this.stepTile(tx * tileSize, ty * tileSize)) {
+          changed[t] = 1
+        }
+      }
+    }
+
+    // Swap buffers (pointer swap, not data copy)
+    const cells = this.cells
+    this.cells = this.nextCells
+    this.nextCells = cells
+    const temp = this.current
+    this.current = this.next
+    this.next = temp
+    this._nextDirtyTiles = this._dirtyTiles
+    this._dirtyTiles = changed
+
+    this.generation++
+  }
+
+  /**
+   * Colour of a cell born at buffer index i (colour rules).
+   * Majority colour of the live neighbors; on a tie, a colour none of them
+   * has (QuadLife: three different parents give the fourth colour), else the lowest tied.
+   *
+   * @private
+   * @param {Uint8Array} src - Buffer being read
+   * @param {number} i - Buffer index of the newborn cell
+   * @param {number} y - Row of the cell (hexagonal offsets depend on it)
+   * @returns {number} Colour (1..rule.colors)
+   */
+  _newbornColor(src, i, y) {
+    const colors = this.rule.colors
+    const counts = this._colorCounts || (this._colorCounts = new Uint8Array(256))
+    counts.fill(0, 0, colors + 1)
+
+    const offsets = this._offsets[y & 1]
+    for (let k = 0; k < offsets.length; k++) {
+      counts[src[i + offsets[k]]]++
+    }
+
+    let best = ALIVE
+    let tied = false
+    for (let color = ALIVE + 1; color <= colors; color++) {
+      if (counts[color] > counts[best]) {
+        best = color
+        tied = false
+      } else if (counts[color] === counts[best]) {
+        tied = true
+      }
+    }
+    if (tied) {
+      for (let color = ALIVE; color <= colors; color++) {
+        if (counts[color] === 0) return color
+      }
+    }
+    return best
+  }
+
+  /**
+   * Compute the next generation of one tile into the next buffer.
+   * Moore radius-1 rules use unrolled neighbor sums; other neighborhoods sum
+   * precomputed flat offsets (hexagonal rows alternate between two sets).
+   *
+   * @param {number} x0 - First column of the tile
+   * @param {number} y0 - First row of the tile
+   * @returns {boolean} True if any cell in the tile changed
+   */
+  stepTile(x0, y0) {
+    const table = this._ruleTable
+    const live = this._live
+    const src = this.cells
+    const dst = this.nextCells
+    const stride = this.stride
+    const x1 = Math.min(x0 + this.tileSize, this.cols)
+    const y1 = Math.min(y0 + this.tileSize, this.rows)
+    const twoState = this.rule.states === 2
+    const colors = this.rule.colors > 1
+    const moore = this._mooreKernel
+    const span = this.rule.span
+    const births = this._birthGeneration
+    const nextGeneration = this.generation + 1
+    let delta = 0
+    let changed = false
+
+    for (let x = x0; x < x1; x++) {
+      let i = this.index(x, y0)
+      for (let y = y0; y < y1; y++, i++) {
+        let neighbors = 0
+        if (moore) {
+          // Two-state rules sum raw cells; multi-state rules count state 1 only
+          neighbors = twoState
+            ? src[i - stride - 1] + src[i - stride] + src[i - stride + 1] +
+              src[i - 1] + src[i + 1] +
+              src[i + stride - 1] + src[i + stride] + src[i + stride + 1]
+            : live[src[i - stride - 1]] + live[src[i - stride]] + live[src[i - stride + 1]] +
+              live[src[i - 1]] + live[src[i + 1]] +
+              live[src[i + stride - 1]] + live[src[i + stride]] + live[src[i + stride + 1]]
+        } else {
+          const offsets = this._offsets[y & 1]
+          for (let k = 0; k < offsets.length; k++) {
+            neighbors += live[src[i + offsets[k]]]
+          }
+        }
+        const state = src[i]
+        let nextState = table[state * span + neighbors]
+        if (colors && state === DEAD && nextState !== DEAD) {
+          nextState = this._newbornColor(src, i, y)
+        }
+        dst[i] = nextState
+        if (nextState !== state) {
+          changed = true
+          const liveDelta = live[nextState] - live[state]
+          if (liveDelta !== 0) {
+            delta += liveDelta
+            this._trackShape(x, y, liveDelta)
+            if (births && liveDelta > 0) {
+              births[i] = nextGeneration
+            }
+          }
+        }
+      }
+    }
+
+    this._population += delta
+    return changed
+  }
+
+  /**
+   * Mark the tiles update() must recompute: every dirty tile and its 8 neighbors.
+   * With wrapping boundaries (torus, Klein), a dirty edge tile also activates
+   * the whole grid border, since the ghost ring links opposite edges.
+   * "Edge" means within the neighborhood radius of the grid edge, which can
+   * reach past a narrow last tile.
+   *
+   * @returns {Uint8Array} Active flag per tile
+   */
+  collectActiveTiles() {
+    const dirty = this._dirtyTiles
+    const active = this._activeTiles
+    const tilesX = this.tilesX
+    const tilesY = this.tilesY
+    const wraps = this.boundary === Boundary.TORUS || this.boundary === Boundary.KLEIN
+    // First tile index overlapping the last `pad` columns/rows (tiles are at least pad wide)
+    const edgeX = Math.floor(Math.max(0, this.cols - this.pad) / this.tileSize)
+    const edgeY = Math.floor(Math.max(0, this.rows - this.pad) / this.tileSize)
+    let borderDirty = false
+
+    active.fill(0)
+    for (let tx = 0; tx < tilesX; tx++) {
+      for (let ty = 0; ty < tilesY; ty++) {
+        if (!dirty[tx * tilesY + ty]) continue
+
+        for (let nx = Math.max(0, tx - 1); nx <= Math.min(tilesX - 1, tx + 1); nx++) {
+          for (let ny = Math.max(0, ty - 1); ny <= Math.min(tilesY - 1, ty + 1); ny++) {
+            active[nx * tilesY + ny] = 1
+          }
+        }
+
+        if (tx === 0 || ty === 0 || tx >= edgeX || ty >= edgeY) {
+          borderDirty = true
+        }
+      }
+    }
+
+    if (wraps && borderDirty) {
+      for (let tx = 0; tx < tilesX; tx++) {
+        for (let ty = 0; ty < tilesY; ty++) {
+          if (tx === 0 || ty === 0 || tx >= edgeX || ty >= edgeY) {
+            active[tx * tilesY + ty] = 1
+          }
+        }
+      }
+    }
+
+    return active
+  }
+
+  /**
+   * Get the tiles that changed during the last generation (or were written since).
+   * Useful for renderers and collision code that only care about changes.
+   *
+   * @returns {Object[]} Array of { x, y, width, height } in cell coordinates
+   *
+   * @example
+   * for (const r of gol.getChangedRegions()) {
+   *   redrawCells(r.x, r.y, r.width, r.height)
+   * }
+   */
+  getChangedRegions() {
+    const regions = []
+    for (let tx = 0; tx < this.tilesX; tx++) {
+      for (let ty = 0; ty < this.tilesY; ty++) {
+        if (this._dirtyTiles[tx * this.tilesY + ty]) {
+          const x = tx * this.tileSize
+          const y = ty * this.tileSize
+          regions.push({
+            x,
+            y,
+            width: Math.min(this.tileSize, this.cols - x),
+            height: Math.min(this.tileSize, this.rows - y)
+          })
+        }
+      }
+    }
+    return regions
+  }
+
+  /**
+   * Record the current generation and compare it with the recent history.
+   * Emits 'statechange' (and the new state's own event) when the state changes.
+   *
+   * Signatures are taken relative to the bounding box of non-dead cells, so a
+   * pattern that reappears shifted is recognised as translating.
+   */
+  detectState() {
+    const signature = this.computeSignature()
+    let next = { type: LifeState.EVOLVING, period: 0, dx: 0, dy: 0 }
+
+    if (signature === null) {
+      next = { type: LifeState.EXTINCT, period: 0, dx: 0, dy: 0 }
+    } else {
+      // Most recent first, so the smallest period wins
+      const history = this._signatures
+      for (let k = 1; k <= history.length; k++) {
+        const old = history[(this._signatureHead - k + history.length) % history.length]
+        if (old && old.hash === signature.hash && old.hash2 === signature.hash2 &&
+            old.width === signature.width && old.height === signature.height) {
+          const dx = signature.minX - old.minX
+          const dy = signature.minY - old.minY
+          if (dx !== 0 || dy !== 0) {
+            next = { type: LifeState.TRANSLATING, period: k, dx, dy }
+          } else if (k === 1) {
+            next = { type: LifeState.STABLE, period: 1, dx: 0, dy: 0 }
+          } else {
+            next = { type: LifeState.OSCILLATING, period: k, dx: 0, dy: 0 }
+          }
+          break
+        }
+      }
+    }
+
+    // Ring buffer of the last stateHistory signatures
+    if (this._signatures.length < this.stateHistory) {
+      this._signatures.push(signature)
+      this._signatureHead = this._signatures.length % this.stateHistory
+    } else {
+      this._signatures[this._signatureHead] = signature
+      this._signatureHead = (this._signatureHead + 1) % this.stateHistory
+    }
+
+    const previous = this._state
+    if (next.type !== previous.type || next.period !== previous.period ||
+        next.dx !== previous.dx || next.dy !== previous.dy) {
+      this._state = next
+      const payload = { state: { ...next }, previous: { ...previous }, generation: this.generation }
+      this._emit('statechange', payload)
+      this._emit(next.type, payload)
+    }
+  }
+
+  /**
+   * Hash the grid relative to the bounding box of its non-dead cells.
+   *
+   * @returns {Object|null} { hash, hash2, minX, minY, width, height }, or null if empty
+   */
+  computeSignature() {
+    const cells = this.cells
+    let minX = this.cols
+    let maxX = -1
+    let minY = this.rows
+    let maxY = -1
+
+    for (let x = 0; x < this.cols; x++) {
+      let i = this.index(x, 0)
+      for (let y = 0; y < this.rows; y++, i++) {
+        if (cells[i] !== DEAD) {
+          if (x < minX) minX = x
+          if (x > maxX) maxX = x
+          if (y < minY) minY = y
+          if (y > maxY) maxY = y
+        }
+      }
+    }
+
+    if (maxX < 0) {
+      return null
+    }
+
+    // Two independent 32-bit hashes (FNV-1a and a multiplicative mix) make collisions negligible
+    let hash = 0x811c9dc5
+    let hash2 = 0x9e3779b9
+    for (let x = minX; x <= maxX; x++) {
+      let i = this.index(x, minY)
+      for (let y = minY; y <= maxY; y++, i++) {
+        hash = Math.imul(hash ^ cells[i], 16777619)
+        hash2 = Math.imul(hash2 ^ (cells[i] + 1), 0x5bd1e995) ^ (hash2 >>> 13)
+      }
+    }
+
+    return { hash, hash2, minX, minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+  }
+
+  /**
+   * Check if the grid is fully settled (no tile changed last generation).
+   * A settled grid is a still life or empty; update() is then nearly free.
+   *
+   * @returns {boolean} True if nothing changed in the last generation
+   */
+  isSettled() {
+    return !this._dirtyTiles.includes(1)
+  }
+
+  /**
+   * Update with frame rate throttling.
+   * Call this from your main draw() loop.
+   *
+   * Uses accumulator pattern to handle fractional framesBetweenUpdates.
+   * Example: 25 fps = 2.4 frames between updates (not 2 or 3, but exactly 2.4 average)
+   *
+   * CLOCKS:
+   * - Clock.FRAME (default): each call counts as one 60fps frame, so speed
+   *   follows the display refresh rate (2× on 120Hz, ½× at 30fps)
+   * - Clock.TIME: the argument is elapsed milliseconds; runs as many
+   *   generations as fit (at most maxCatchUpSteps, the rest of a long stall
+   *   such as a background tab is dropped)
+   *
+   * @param {number} frameCountOrDeltaMs - Frame mode: current frame count (unused, kept for
+   *   API compatibility). Time mode: milliseconds since the last call (p5.js deltaTime)
+   * @returns {boolean} True if an update occurred
+   *
+   * @example
+   * // Same speed on 30, 60 and 120Hz displays
+   * const enemy = new GoLEngine(10, 10, 12, { clock: Clock.TIME })
+   * enemy.updateThrottled(deltaTime)
+   */
+  updateThrottled(frameCountOrDeltaMs) {
+    const steps = this.takeDueSteps(frameCountOrDeltaMs)
+    for (let i = 0; i < steps; i++) {
+      this.update()
+    }
+    return steps > 0
+  }
+
+  /**
+   * Advance the throttle clock and return how many generations are now due,
+   * without running them. updateThrottled() runs them here; GoLWorkerPool
+   * runs them on a worker.
+   *
+   * @param {number} frameCountOrDeltaMs - Same as updateThrottled()
+   * @returns {number} Generations due (0 if frozen; at most 1 in frame mode,
+   *   at most maxCatchUpSteps in time mode)
+   */
+  takeDueSteps(frameCountOrDeltaMs) {
+    // Skip update if frozen (for static patterns)
+    if (this._frozen) {
+      return 0
+    }
+
+    if (this.clock === Clock.TIME) {
+      return this.takeDueStepsForElapsedTime(frameCountOrDeltaMs)
+    }
+
+    // Accumulator pattern for fractional frame intervals
+    this._throttleAccumulator += 1
+    if (this._throttleAccumulator >= this.framesBetweenUpdates) {
+      this._throttleAccumulator -= this.framesBetweenUpdates
+      return 1
+    }
+    return 0
+  }
+
+  /**
+   * Time-mode body of takeDueSteps(): accumulate milliseconds, one step per interval.
+   *
+   * @param {number} deltaMs - Milliseconds since the last call (ignored if not a positive number)
+   * @returns {number} Generations due
+   */
+  takeDueStepsForElapsedTime(deltaMs) {
+    if (!(deltaMs > 0)) {
+      return 0
+    }
+
+    const interval = this.msBetweenUpdates
+    this._throttleAccumulator += deltaMs
+
+    let steps = 0
+    while (this._throttleAccumulator >= interval && steps < this.maxCatchUpSteps) {
+      this._throttleAccumulator -= interval
+      steps++
+    }
+
+    // Too far behind: drop the backlog instead of spiralling
+    if (this._throttleAccumulator >= interval) {
+      this._throttleAccumulator %= interval
+    }
+    return steps
+  }
+
+  /**
+   * Replace the grid with one computed elsewhere (e.g. by GoLWorkerPool).
+   * Keeps history, ages, birth/death lists and state detection running as
+   * if update() had been called `steps` times. With steps > 1, births/deaths
+   * are the net change and state detection sees only the final generation.
+   *
+   * @param {Uint8Array} cells - Full buffer in this engine's layout (same length as this.cells)
+   * @param {number} steps - Generations the buffer is ahead of the current grid
+   * @throws {Error} If the buffer has the wrong length
+   */
+  applyGenerations(cells, steps) {
+    if (cells.length !== this.cells.length) {
+      throw new Error(`[GoLEngine] Buffer has ${cells.length} cells, expected ${this.cells.length}`)
+    }
+
+    if (this._historySize > 0) {
+      this.recordHistory()
+    }
+
+    // Keep the previous grid in the back buffer, like step() does
+    this.nextCells.set(this.cells)
+    this.cells.set(cells)
+    this.generation += steps
+    this.invalidate()
+
+    if (this._birthGeneration) {
+      const live = this._live
+      for (let i = 0; i < this.cells.length; i++) {
+        if (live[this.cells[i]] && !live[this.nextCells[i]]) {
+          this._birthGeneration[i] = this.generation
+        }
+      }
+    }
+    if (this._trackChanges) {
+      this.collectChanges()
+    }
+    if (this._detectState) {
+      this.detectState()
+    }
+  }
+
+  /**
+   * Freeze GoL evolution (for static pattern display).
+   * When frozen, updateThrottled() will skip all updates.
+   *
+   * @example
+   * gol.freeze()
+   * gol.setPattern(Patterns.GLIDER, 0, 0)
+   * // Pattern will remain static, no evolution
+   */
+  freeze() {
+    this._frozen = true
+  }
+
+  /**
+   * Unfreeze GoL evolution (resume normal rule updates).
+   *
+   * @example
+   * gol.unfreeze()
+   * // Pattern will resume evolving according to the engine's rule
+   */
+  unfreeze() {
+    this._frozen = false
+  }
+
+  /**
+   * Check if GoL is currently frozen.
+   *
+   * @returns {boolean} True if frozen, false otherwise
+   */
+  isFrozen() {
+    return this._frozen
+  }
+
+  /**
+   * Set a pattern at a specific location.
+   * Pattern format: pattern[row][col] where row=y, col=x
+   *
+   * By default (BlendMode.REPLACE) every cell under the pattern's bounding box
+   * is overwritten, dead ones included. Other modes combine the pattern with
+   * what is already there (see BlendMode). The pattern can be flipped, then
+   * rotated clockwise, before stamping; (startX, startY) is the top-left of
+   * the transformed pattern.
+   *
+   * @param {number[][]|Pattern} pattern - 2D array where 1=alive, 0=dead (row-major format), or a Pattern
+   * @param {number} startX - Starting column index
+   * @param {number} startY - Starting row index
+   * @param {Object} [options] - Stamping options
+   * @param {string} [options.mode='replace'] - How to combine with existing cells (see BlendMode)
+   * @param {number} [options.rotate=0] - Clockwise rotation in degrees (multiple of 90)
+   * @param {boolean} [options.flipX=false] - Mirror left-right (before rotating)
+   * @param {boolean} [options.flipY=false] - Mirror top-bottom (before rotating)
+   * @param {number} [options.state] - State written for set pattern cells (e.g. a Team colour;
+   *   default: the pattern's own values)
+   * @throws {Error} If the mode or rotation is invalid
+   *
+   * @example
+   * // Glider heading up-left, added without erasing the entity's cells
+   * gol.setPattern(Patterns.GLIDER, 4, 4, { mode: BlendMode.OR, rotate: 180 })
+   *
+   * @example
+   * // Bullet damage: punch a block-shaped hole
+   * gol.setPattern(Patterns.BLOCK, hitX, hitY, { mode: BlendMode.CLEAR })
+   */
+  setPattern(pattern, startX = 0, startY = 0, options = {}) {
+    const mode = options.mode || BlendMode.REPLACE
+    if (!Object.values(BlendMode).includes(mode)) {
+      throw new Error(`[GoLEngine] Invalid blend mode: ${mode}. Must be one of: ${Object.values(BlendMode).join(', ')}`)
+    }
+    const rotate = (((options.rotate || 0) % 360) + 360) % 360
+    if (rotate % 90 !== 0) {
+      throw new Error(`[GoLEngine] Invalid rotation: ${options.rotate}. Must be a multiple of 90 degrees`)
+    }
+
+    const cells = patternCells(pattern)
+    const height = cells.length
+    const width = height > 0 ? cells[0].length : 0
+
+    // Pattern is in row-major format: cells[row][col]
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < cells[row].length; col++) {
+        // Flip, then rotate clockwise within the pattern's bounding box
+        const px = options.flipX ? width - 1 - col : col
+        const py = options.flipY ? height - 1 - row : row
+        let dx = px
+        let dy = py
+        if (rotate === 90) {
+          dx = height - 1 - py
+          dy = px
+        } else if (rotate === 180) {
+          dx = width - 1 - px
+          dy = height - 1 - py
+        } else if (rotate === 270) {
+          dx = py
+          dy = width - 1 - px
+        }
+
+        const gridX = startX + dx
+        const gridY = startY + dy
+        if (gridX >= 0 && gridX < this.cols && gridY >= 0 && gridY < this.rows) {
+          const value = cells[row][col]
+          const stamped = value !== DEAD && options.state !== undefined ? options.state : value
+          this.blendCell(gridX, gridY, stamped, mode)
+        }
+      }
+    }
+  }
+
+  /**
+   * Combine one pattern value with an in-bounds cell (see BlendMode).
+   *
+   * @param {number} x - Column index (must be in bounds)
+   * @param {number} y - Row index (must be in bounds)
+   * @param {number} value - Pattern value (DEAD = unset)
+   * @param {string} mode - BlendMode value
+   */
+  blendCell(x, y, value, mode) {
+    switch (mode) {
+      case BlendMode.OR:
+        if (value !== DEAD) this.writeCell(x, y, value)
+        break
+      case BlendMode.XOR:
+        if (value !== DEAD) this.writeCell(x, y, this._live[this.getCell(x, y)] ? DEAD : value)
+        break
+      case BlendMode.AND:
+        if (value === DEAD) this.writeCell(x, y, DEAD)
+        break
+      case BlendMode.CLEAR:
+        if (value !== DEAD) this.writeCell(x, y, DEAD)
+        break
+      default:
+        this.writeCell(x, y, value)
+    }
+  }
+
+  /**
+   * Get the current grid as a pattern (2D array).
+   *
+   * @returns {number[][]} Copy of the current grid (column-major: pattern[x][y])
+   */
+  getPattern() {
+    const pattern = []
+    for (let x = 0; x < this.cols; x++) {
+      pattern[x] = Array.from(this.current[x])
+    }
+    return pattern
+  }
+
+  /**
+   * Get a region of the grid.
+   *
+   * @param {number} startX - Starting column
+   * @param {number} startY - Starting row
+   * @param {number} width - Width of region
+   * @param {number} height - Height of region
+   * @returns {number[][]} 2D array of the region
+   */
+  getRegion(startX, startY, width, height) {
+    const region = []
+    for (let x = 0; x < width; x++) {
+      region[x] = []
+      for (let y = 0; y < height; y++) {
+        const gridX = startX + x
+        const gridY = startY + y
+        if (gridX >= 0 && gridX < this.cols && gridY >= 0 && gridY < this.rows) {
+          region[x][y] = this.cells[this.index(gridX, gridY)]
+        } else {
+          region[x][y] = DEAD
+        }
+      }
+    }
+    return region
+  }
+
+  /**
+   * Create an engine holding an RLE pattern, centered.
+   * The header's rule is used unless options.rule is given (a rule this
+   * engine cannot parse, e.g. a Golly bounded-grid suffix, throws).
+   *
+   * @param {string} text - RLE text (see Patterns.parseRLE())
+   * @param {number} [updateRateFPS=10] - Target update rate in frames per second
+   * @param {Object} [options] - Engine options (see constructor), plus:
+   * @param {number} [options.margin=0] - Dead cells around the pattern on every side
+   * @param {number} [options.cols] - Grid columns (default: pattern width + 2 × margin)
+   * @param {number} [options.rows] - Grid rows (default: pattern height + 2 × margin)
+   * @returns {GoLEngine} New engine
+   * @throws {Error} If the RLE or its rule is invalid
+   *
+   * @example
+   * // Gosper glider gun pasted from LifeWiki
+   * const gun = GoLEngine.fromRLE(gosperRLE, 15, { margin: 4 })
+   */
+  static fromRLE(text, updateRateFPS = 10, options = {}) {
+    const parsed = parseRLE(text)
+    const margin = options.margin || 0
+    const cols = options.cols || Math.max(1, parsed.width + 2 * margin)
+    const rows = options.rows || Math.max(1, parsed.height + 2 * margin)
+
+    const engine = new GoLEngine(cols, rows, updateRateFPS, {
+      ...options,
+      rule: options.rule || parsed.rule || Rules.CONWAY
+    })
+    engine.setPattern(parsed.pattern,
+      Math.floor((cols - parsed.width) / 2),
+      Math.floor((rows - parsed.height) / 2))
+    return engine
+  }
+
+  /**
+   * Export the live area of the grid as RLE (cropped to the bounding box of
+   * non-dead cells, so dying Generations cells are kept).
+   *
+   * @param {Object} [options] - Header options
+   * @param {string} [options.name] - Pattern name (#N line)
+   * @param {string} [options.author] - Author (#O line)
+   * @param {string|string[]} [options.comments] - Comment line(s) (#C lines)
+   * @returns {string} RLE text with this engine's rule in the header
+   *
+   * @example
+   * console.log(boss.gol.toRLE({ name: 'Boss phase 2' }))  // Paste into Golly
+   */
+  toRLE(options = {}) {
+    return toRLE(this.toPattern().trim(), { ...options, rule: this.rule.rulestring })
+  }
+
+  /**
+   * Get the whole grid as a Pattern (row-major, unlike getPattern()), with
+   * this engine's rulestring. Chain .trim() to keep only the live area.
+   *
+   * @returns {Pattern} Pattern of cols × rows cells, origin (0, 0)
+   *
+   * @example
+   * const shape = enemy.gol.toPattern().trim()
+   * shape.equalsUpToSymmetry(Patterns.GLIDER)  // Is the enemy a glider right now?
+   */
+  toPattern() {
+    const cells = []
+    for (let y = 0; y < this.rows; y++) {
+      const row = new Array(this.cols)
+      for (let x = 0; x < this.cols; x++) {
+        row[x] = this.cells[this.index(x, y)]
+      }
+      cells.push(row)
+    }
+    return new Pattern(cells, { rule: this.rule.rulestring })
+  }
+
+  /**
+   * Change the grid size, keeping the cells (and generation count).
+   * Cells that no longer fit are dropped; new cells are dead.
+   * Both buffers are reallocated: engine.current/next views are replaced and
+   * history is cleared, as with a rule of another radius.
+   *
+   * @param {number} cols - New number of columns
+   * @param {number} rows - New number of rows
+   * @param {string} [anchor='top-left'] - Part of the grid that stays put (see Anchor)
+   * @throws {Error} If the size or anchor is invalid
+   *
+   * @example
+   * // Enemy levels up: room to grow on every side
+   * enemy.gol.resize(enemy.gol.cols + 4, enemy.gol.rows + 4, Anchor.CENTER)
+   * enemy.x -= 2 * enemy.cellSize
+   * enemy.y -= 2 * enemy.cellSize
+   */
+  resize(cols, rows, anchor = Anchor.TOP_LEFT) {
+    if (!ANCHOR_FACTORS[anchor]) {
+      throw new Error(`[GoLEngine] Invalid anchor: ${anchor}. Must be one of: ${Object.values(Anchor).join(', ')}`)
+    }
+
+    // Truncating keeps grow-then-shrink (and back) lossless
+    const [factorX, factorY] = ANCHOR_FACTORS[anchor]
+    this._reshape(cols, rows,
+      Math.trunc((cols - this.cols) * factorX),
+      Math.trunc((rows - this.rows) * factorY))
+  }
+
+  /**
+   * Cut the grid down (or out) to a rectangle, which becomes the whole grid.
+   * Parts of the rectangle outside the grid start dead.
+   *
+   * @param {Object} [bbox=this.getBoundingBox()] - { x, y, width, height } in cells
+   * @param {number} [margin=0] - Dead cells to keep around bbox on every side
+   * @returns {boolean} False if there was nothing to crop to (empty grid), grid unchanged
+   * @throws {Error} If the resulting size is invalid
+   *
+   * @example
+   * // Trim PatternRenderer's padding once the pattern has settled
+   * gol.on(LifeState.STABLE, () => gol.crop(gol.getBoundingBox(), 1))
+   */
+  crop(bbox = this.getBoundingBox(), margin = 0) {
+    if (!bbox) {
+      return false
+    }
+
+    const x = bbox.x - margin
+    const y = bbox.y - margin
+    this._reshape(bbox.width + 2 * margin, bbox.height + 2 * margin, -x, -y)
+    return true
+  }
+
+  /**
+   * Move every cell by (dx, dy) within the grid. Cells pushed past an edge
+   * are dropped (whatever the boundary); vacated cells are dead.
+   * The grid keeps its size, so engine.current/next views stay valid.
+   *
+   * @param {number} dx - Columns to move right (negative: left)
+   * @param {number} dy - Rows to move down (negative: up)
+   *
+   * @example
+   * // Recenter a drifting glider and move the sprite instead
+   * const { x, y } = drone.gol.getCentroid()
+   * const dx = Math.round(drone.gol.cols / 2 - x)
+   * drone.gol.shift(dx, 0)
+   * drone.x -= dx * drone.cellSize
+   */
+  shift(dx, dy) {
+    this._reshape(this.cols, this.rows, Math.trunc(dx), Math.trunc(dy))
+  }
+
+  /**
+   * Rebuild the grid at a new size with every cell moved by (offsetX, offsetY).
+   * Shared by resize(), crop() and shift(). Ages move with their cells;
+   * history and state detection restart.
+   *
+   * @private
+   * @param {number} cols - New number of columns
+   * @param {number} rows - New number of rows
+   * @param {number} offsetX - Where old column 0 lands
+   * @param {number} offsetY - Where old row 0 lands
+   * @throws {Error} If the size is invalid
+   */
+  _reshape(cols, rows, offsetX, offsetY) {
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1) {
+      throw new Error(`[GoLEngine] Invalid grid size: ${cols}×${rows}. Must be positive integers`)
+    }
+
+    const oldCols = this.cols
+    const oldRows = this.rows
+    const oldStride = this.stride
+    const pad = this.pad
+    let old = this.cells
+    let oldAges = this._birthGeneration
+
+    if (cols === oldCols && rows === oldRows) {
+      old = old.slice()
+      oldAges = oldAges && oldAges.slice()
+      this.cells.fill(DEAD)
+      this.setHistorySize(this._historySize)
+    } else {
+      this.cells = null  // Nothing to carry over at the old layout
+      this.cols = cols
+      this.rows = rows
+      this.allocateCells(pad)
+    }
+
+    // Copy the overlap column by column
+    const x0 = Math.max(0, offsetX)
+    const x1 = Math.min(cols, oldCols + offsetX)
+    const y0 = Math.max(0, offsetY)
+    const y1 = Math.min(rows, oldRows + offsetY)
+    for (let x = x0; x < x1 && y0 < y1; x++) {
+      const from = (x - offsetX + pad) * oldStride + (y0 - offsetY + pad)
+      const to = this.index(x, y0)
+      this.cells.set(old.subarray(from, from + y1 - y0), to)
+      if (oldAges) {
+        this._birthGeneration.set(oldAges.subarray(from, from + y1 - y0), to)
+      }
+    }
+
+    this.invalidate()
+    if (this._detectState) {
+      this.resetStateHistory()
+    }
+  }
+
+  /**
+   * Capture the engine's full state.
+   * The result is a plain object that survives JSON.stringify (replays, localStorage).
+   * Two-state grids are bit-packed: a 64×64 grid is ~700 characters.
+   *
+   * @returns {Object} Snapshot
+   *   {
+   *     version: number,             // Format version (1)
+   *     cols: number,
+   *     rows: number,
+   *     rule: string,                // Rulestring the grid was evolving under
+   *     generation: number,
+   *     frozen: boolean,
+   *     throttleAccumulator: number,
+   *     bits: number,                // Bits per cell in `cells` (1 or 8)
+   *     cells: string                // Base64 cell data, column-major
+   *   }
+   *
+   * @example
+   * localStorage.setItem('boss', JSON.stringify(boss.gol.snapshot()))
+   * boss.gol.restore(JSON.parse(localStorage.getItem('boss')))
+   */
+  snapshot() {
+    const bits = this.rule.states === 2 ? 1 : 8
+    const count = this.cols * this.rows
+    const bytes = new Uint8Array(bits === 1 ? Math.ceil(count / 8) : count)
+
+    let n = 0
+    for (let x = 0; x < this.cols; x++) {
+      let i = (x + this.pad) * this.stride + this.pad
+      for (let y = 0; y < this.rows; y++, i++, n++) {
+        if (bits === 8) {
+          bytes[n] = this.cells[i]
+        } else if (this.cells[i]) {
+          bytes[n >> 3] |= 1 << (n & 7)
+        }
+      }
+    }
+
+    return {
+      version: SNAPSHOT_VERSION,
+      cols: this.cols,
+      rows: this.rows,
+      rule: this.rule.rulestring,
+      generation: this.generation,
+      frozen: this._frozen,
+      throttleAccumulator: this._throttleAccumulator,
+      bits,
+      cells: encodeBase64(bytes)
+    }
   }
 
   /**
-   * Get the current update rate in FPS.
-   * @returns {number} Update rate in frames per second
+   * Restore a state captured with snapshot().
+   * Also switches to the snapshot's rule. Cell ages (if tracked) restart at 0.
+   *
+   * @param {Object} snapshot - Result of snapshot() (or its JSON round-trip)
+   * @throws {Error} If the snapshot has another version or grid size
    */
-  get updateRateFPS() {
-    return this._updateRateFPS
+  restore(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`[GoLEngine] Unsupported snapshot version: ${snapshot && snapshot.version}`)
+    }
+    if (snapshot.cols !== this.cols || snapshot.rows !== this.rows) {
+      throw new Error(`[GoLEngine] Snapshot is ${snapshot.cols}×${snapshot.rows}, engine is ${this.cols}×${this.rows}`)
+    }
+
+    if (snapshot.rule !== this.rule.rulestring) {
+      this.setRule(snapshot.rule)
+    }
+
+    const bytes = decodeBase64(snapshot.cells)
+    let n = 0
+    for (let x = 0; x < this.cols; x++) {
+      let i = (x + this.pad) * this.stride + this.pad
+      for (let y = 0; y < this.rows; y++, i++, n++) {
+        this.cells[i] = snapshot.bits === 8 ? bytes[n] : (bytes[n >> 3] >> (n & 7)) & 1
+      }
+    }
+
+    this._loadedCells(snapshot.generation)
+    this._frozen = snapshot.frozen
+    this._throttleAccumulator = snapshot.throttleAccumulator
   }
 
   /**
-   * Set the update rate in FPS. Automatically recalculates framesBetweenUpdates.
-   * @param {number} fps - New update rate in frames per second
+   * Change how many past generations are kept for stepBack().
+   * Clears the recorded history.
+   *
+   * @param {number} size - Generations to keep (0 disables history)
    */
-  set updateRateFPS(fps) {
-    this._updateRateFPS = fps
-    this.framesBetweenUpdates = 60 / fps  // Recalculate throttle interval
-    this._throttleAccumulator = 0  // Reset accumulator when rate changes
+  setHistorySize(size) {
+    this._historySize = Math.max(0, Math.floor(size))
+    this._history = []         // Ring of raw cell buffers (allocated on demand)
+    this._historyGenerations = []
+    this._historyHead = 0      // Next slot to write
+    this._historyCount = 0
   }
 
   /**
-   * Create a 2D array initialized with zeros (dead cells).
-   *
-   * @param {number} cols - Number of columns
-   * @param {number} rows - Number of rows
-   * @returns {number[][]} 2D array of dead cells
+   * Copy the current grid into the history ring buffer.
+   * Called by update() before each generation when history is enabled.
    */
-  create2DArray(cols, rows) {
-    const arr = new Array(cols)
-    for (let i = 0; i < cols; i++) {
-      arr[i] = new Array(rows).fill(DEAD)
+  recordHistory() {
+    const slot = this._historyHead
+    if (!this._history[slot]) {
+      this._history[slot] = new Uint8Array(this.cells.length)
     }
-    return arr
+    this._history[slot].set(this.cells)
+    this._historyGenerations[slot] = this.generation
+
+    this._historyHead = (slot + 1) % this._historySize
+    this._historyCount = Math.min(this._historyCount + 1, this._historySize)
   }
 
   /**
-   * Set a specific cell to alive or dead.
+   * Number of generations stepBack() can currently rewind.
    *
-   * @param {number} x - Column index
-   * @param {number} y - Row index
-   * @param {number} state - ALIVE or DEAD
+   * @returns {number} Recorded generations
    */
-  setCell(x, y, state) {
-    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
-      this.current[x][y] = state
-    }
+  getHistoryLength() {
+    return this._historyCount
   }
 
   /**
-   * Get the state of a specific cell.
+   * Rewind to an earlier generation recorded by update().
+   * Writes made with setCell() since that generation are discarded too.
    *
-   * @param {number} x - Column index
-   * @param {number} y - Row index
-   * @returns {number} ALIVE or DEAD
+   * @param {number} [steps=1] - Generations to go back
+   * @returns {boolean} False if not enough history was recorded (grid unchanged)
+   *
+   * @example
+   * const gol = new GoLEngine(20, 20, 10, { historySize: 60 })
+   * gol.update()
+   * gol.stepBack()  // Undo the last generation
    */
-  getCell(x, y) {
-    if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
-      return this.current[x][y]
+  stepBack(steps = 1) {
+    if (steps < 1 || steps > this._historyCount) {
+      return false
     }
-    return DEAD  // Out of bounds = dead
+
+    const slot = (this._historyHead - steps + this._historySize) % this._historySize
+    this.cells.set(this._history[slot])
+    this._loadedCells(this._historyGenerations[slot])
+
+    // Later generations are gone; the next update() records over them
+    this._historyHead = slot
+    this._historyCount -= steps
+    return true
   }
 
   /**
-   * Clear the grid (set all cells to dead).
+   * Resynchronize tracking after the whole grid was replaced (restore/stepBack).
+   *
+   * @private
+   * @param {number} generation - Generation the loaded grid belongs to
    */
-  clearGrid() {
-    for (let x = 0; x < this.cols; x++) {
-      for (let y = 0; y < this.rows; y++) {
-        this.current[x][y] = DEAD
-        this.next[x][y] = DEAD
-      }
+  _loadedCells(generation) {
+    this.generation = generation
+    this.invalidate()
+
+    if (this._birthGeneration) {
+      this._birthGeneration.fill(generation)
+    }
+    if (this._detectState) {
+      this.resetStateHistory()
     }
-    this.generation = 0
   }
 
   /**
-   * Seed the grid with random cells (~30% density).
+   * Count total alive cells in the grid (dying cells are not alive).
+   * O(1): returns the running population maintained by update() and setCell().
    *
-   * @param {number} density - Probability of a cell being alive (default: 0.3)
+   * @returns {number} Number of alive cells
    */
-  randomSeed(density = 0.3) {
-    for (let x = 0; x < this.cols; x++) {
-      for (let y = 0; y < this.rows; y++) {
-        this.current[x][y] = Math.random() < density ? ALIVE : DEAD
-      }
-    }
-    this.generation = 0
+  countAliveCells() {
+    return this._population
   }
 
   /**
-   * Count live neighbors for a cell using Moore neighborhood (8 neighbors).
+   * Get cell density (percentage of alive cells). O(1).
    *
-   * @param {number[][]} grid - The grid to read from
-   * @param {number} x - Column index
-   * @param {number} y - Row index
-   * @returns {number} Number of live neighbors (0-8)
+   * @returns {number} Density as a value between 0 and 1
    */
-  countLiveNeighbors(grid, x, y) {
-    let count = 0
-
-    // Check all 8 neighbors (Moore neighborhood)
-    for (let dx = -1; dx <= 1; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        // Skip the center cell
-        if (dx === 0 && dy === 0) continue
-
-        const nx = x + dx
-        const ny = y + dy
-
-        // Check bounds and count if alive
-        if (nx >= 0 && nx < this.cols && ny >= 0 && ny < this.rows) {
-          count += grid[nx][ny]
-        }
-        // Out of bounds cells are treated as dead (fixed boundary)
-      }
-    }
-
-    return count
+  getDensity() {
+    return this.countAliveCells() / (this.cols * this.rows)
   }
 
   /**
-   * Apply Conway's B3/S23 rules.
-   * Birth: exactly 3 neighbors → becomes alive
-   * Survival: 2 or 3 neighbors → stays alive
-   * Death: < 2 (underpopulation) or > 3 (overpopulation) → dies
+   * Tight bounding box of the live cells (dying Generations states excluded).
+   * O(cols + rows): reads per-column/row live counts kept up to date by every write.
    *
-   * @param {number} currentState - Current cell state (ALIVE or DEAD)
-   * @param {number} neighbors - Number of live neighbors
-   * @returns {number} Next state (ALIVE or DEAD)
+   * @returns {Object|null} { x, y, width, height } in cells, or null if no cell is alive
+   *
+   * @example
+   * // Hitbox that follows the evolving pattern
+   * const box = obstacle.gol.getBoundingBox()
+   * if (box) {
+   *   Collision.rectRect(player.x, player.y, player.width, player.height,
+   *     obstacle.x + box.x * cellSize, obstacle.y + box.y * cellSize,
+   *     box.width * cellSize, box.height * cellSize)
+   * }
    */
-  applyB3S23Rules(currentState, neighbors) {
-    if (currentState === ALIVE) {
-      // Survival: 2 or 3 neighbors
-      return (neighbors === 2 || neighbors === 3) ? ALIVE : DEAD
-    } else {
-      // Birth: exactly 3 neighbors
-      return (neighbors === 3) ? ALIVE : DEAD
+  getBoundingBox() {
+    if (this._population === 0) {
+      return null
     }
+
+    const cols = this._colCounts
+    const rows = this._rowCounts
+    let minX = 0
+    let maxX = this.cols - 1
+    let minY = 0
+    let maxY = this.rows - 1
+    while (cols[minX] === 0) minX++
+    while (cols[maxX] === 0) maxX--
+    while (rows[minY] === 0) minY++
+    while (rows[maxY] === 0) maxY--
+
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
   }
 
   /**
-   * Update the grid to the next generation using double buffer pattern.
-   * CRITICAL: Never modifies current grid while reading it.
+   * Center of mass of the live cells (each live cell weighs 1). O(1).
+   *
+   * @returns {Object|null} { x, y } in cells, measured to cell centers
+   *   (multiply by cellSize for a pixel offset from the grid's top-left), or null if empty
+   *
+   * @example
+   * const c = enemy.gol.getCentroid()
+   * if (c) camera.follow(enemy.x + c.x * enemy.cellSize, enemy.y + c.y * enemy.cellSize)
    */
-  update() {
-    // Read from current, write to next
-    for (let x = 0; x < this.cols; x++) {
-      for (let y = 0; y < this.rows; y++) {
-        const neighbors = this.countLiveNeighbors(this.current, x, y)
-        const currentState = this.current[x][y]
-        this.next[x][y] = this.applyB3S23Rules(currentState, neighbors)
-      }
+  getCentroid() {
+    const n = this._population
+    if (n === 0) {
+      return null
     }
-
-    // Swap buffers (pointer swap, not data copy)
-    const temp = this.current
-    this.current = this.next
-    this.next = temp
-
-    this.generation++
+    return { x: this._sumX / n + 0.5, y: this._sumY / n + 0.5 }
   }
 
   /**
-   * Update with frame rate throttling.
-   * Call this from your main draw() loop.
+   * Spread of the live cells around their centroid (second moments). O(1).
+   * Unlike the bounding box, a few stray cells barely change it, so it makes
+   * a steady circle hitbox for an evolving entity.
    *
-   * Uses accumulator pattern to handle fractional framesBetweenUpdates.
-   * Example: 25 fps = 2.4 frames between updates (not 2 or 3, but exactly 2.4 average)
+   * @returns {Object|null} { x, y, radius } in cells: standard deviation along
+   *   each axis and the radius of gyration (sqrt(x² + y²)), or null if empty
    *
-   * @param {number} frameCount - Current frame count from p5.js (unused, kept for API compatibility)
-   * @returns {boolean} True if an update occurred
+   * @example
+   * const c = particle.gol.getCentroid()
+   * const e = particle.gol.getExtent()
+   * if (c && Collision.circleCircle(player.x, player.y, 20,
+   *   particle.x + c.x * size, particle.y + c.y * size, e.radius * size * 1.5)) { ... }
    */
-  updateThrottled(frameCount) {
-    // Skip update if frozen (for static patterns)
-    if (this._frozen) {
-      return false
+  getExtent() {
+    const n = this._population
+    if (n === 0) {
+      return null
     }
 
-    // Accumulator pattern for fractional frame intervals
-    this._throttleAccumulator += 1
-    if (this._throttleAccumulator >= this.framesBetweenUpdates) {
-      this._throttleAccumulator -= this.framesBetweenUpdates
-      this.update()
-      return true
+    const meanX = this._sumX / n
+    const meanY = this._sumY / n
+    const varianceX = Math.max(0, this._sumXX / n - meanX * meanX)
+    const varianceY = Math.max(0, this._sumYY / n - meanY * meanY)
+    return {
+      x: Math.sqrt(varianceX),
+      y: Math.sqrt(varianceY),
+      radius: Math.sqrt(varianceX + varianceY)
     }
-    return false
   }
+}
 
+/**
+ * GoL engine that keeps its live cells inside a shape mask.
+ *
+ * Same interval idea as CircularMaskedGoL: the pattern evolves freely and is
+ * pruned back to the mask every maskInterval generations, so edges stay
+ * organic while the silhouette stays recognisable.
+ *
+ * MASKS (see Masks.js): circleMask, ellipseMask, ringMask, polygonMask,
+ * bitmapMask, imageMask (sprite alpha), customMask. setMask() swaps the
+ * shape at runtime; it takes effect at the next mask application (or call
+ * applyMask() to prune immediately).
+ *
+ * SOFT MASKS (options.maskSoftness): cells outside the shape die with a
+ * probability rising with their distance from it (drawn from engine.rng),
+ * giving fuzzy, flickering edges instead of a hard cut.
+ *
+ * @extends GoLEngine
+ *
+ * @example
+ * const dino = new MaskedGoL(24, 24, 12, imageMask(dinoImage), { maskInterval: 4, maskSoftness: 2 })
+ * dino.randomSeed(0.5)
+ * // Later: duck
+ * dino.setMask(imageMask(duckImage))
+ */
+class MaskedGoL extends GoLEngine {
   /**
-   * Freeze GoL evolution (for static pattern display).
-   * When frozen, updateThrottled() will skip all updates.
+   * Create a new GoL engine with interval-based shape masking.
    *
-   * @example
-   * gol.freeze()
-   * gol.setPattern(Patterns.GLIDER, 0, 0)
-   * // Pattern will remain static, no evolution
+   * @param {number} cols - Number of columns in the grid
+   * @param {number} rows - Number of rows in the grid
+   * @param {number} updateRateFPS - Target update rate in frames per second
+   * @param {Object} [mask=circleMask()] - Mask from Masks.js
+   * @param {Object} [options] - Engine options (see GoLEngine), plus:
+   * @param {number} [options.maskInterval=6] - Apply mask every N generations
+   * @param {number} [options.maskSoftness=0] - Soft edge width in cells (0 = hard mask)
    */
-  freeze() {
-    this._frozen = true
+  constructor(cols, rows, updateRateFPS = 10, mask = circleMask(), options = {}) {
+    super(cols, rows, updateRateFPS, options)
+
+    this.maskInterval = options.maskInterval || 6
+    this.maskSoftness = options.maskSoftness || 0
+    this.setMask(mask)
   }
 
   /**
-   * Unfreeze GoL evolution (resume normal B3/S23 updates).
+   * Replace the mask. Applied from the next mask application on.
    *
-   * @example
-   * gol.unfreeze()
-   * // Pattern will resume evolving according to B3/S23 rules
+   * @param {Object} mask - Mask from Masks.js ({ contains(x, y, cols, rows) })
+   * @param {number} [softness=this.maskSoftness] - Soft edge width in cells
+   * @throws {Error} If mask has no contains() function
    */
-  unfreeze() {
-    this._frozen = false
+  setMask(mask, softness = this.maskSoftness) {
+    if (!mask || typeof mask.contains !== 'function') {
+      throw new Error('[MaskedGoL] Invalid mask: expected a mask from Masks.js')
+    }
+
+    this.mask = mask
+    this.maskSoftness = Math.max(0, softness)
+    this._killChances = null  // Rasterized lazily for the current grid size
   }
 
   /**
-   * Check if GoL is currently frozen.
+   * Get the current mask.
    *
-   * @returns {boolean} True if frozen, false otherwise
+   * @returns {Object} Mask passed to the constructor or setMask()
    */
-  isFrozen() {
-    return this._frozen
+  getMask() {
+    return this.mask
   }
 
   /**
-   * Set a pattern at a specific location.
-   * Pattern format: pattern[row][col] where row=y, col=x
+   * Probability that a live cell at (x, y) is killed by the next mask application.
    *
-   * @param {number[][]} pattern - 2D array where 1=alive, 0=dead (row-major format)
-   * @param {number} startX - Starting column index
-   * @param {number} startY - Starting row index
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @returns {number} 0 inside the mask, up to 1 outside
    */
-  setPattern(pattern, startX = 0, startY = 0) {
-    // Pattern is in row-major format: pattern[row][col]
-    for (let row = 0; row < pattern.length; row++) {
-      for (let col = 0; col < pattern[row].length; col++) {
-        const gridX = startX + col
-        const gridY = startY + row
-        if (gridX >= 0 && gridX < this.cols && gridY >= 0 && gridY < this.rows) {
-          this.current[gridX][gridY] = pattern[row][col]
-        }
-      }
-    }
+  getKillChance(x, y) {
+    return this._getKillChances()[x * this.rows + y]
   }
 
   /**
-   * Get the current grid as a pattern (2D array).
-   *
-   * @returns {number[][]} Copy of the current grid
+   * Apply the mask: kill cells outside it (with soft masks, probabilistically).
+   * Called every maskInterval generations (not every frame).
    */
-  getPattern() {
-    const pattern = []
+  applyMask() {
+    const chances = this._getKillChances()
+    const rng = this.rng
+    const cells = this.cells
+
     for (let x = 0; x < this.cols; x++) {
-      pattern[x] = [...this.current[x]]
+      let i = this.index(x, 0)
+      for (let y = 0; y < this.rows; y++, i++) {
+        const chance = chances[x * this.rows + y]
+        if (chance > 0 && cells[i] !== DEAD && (chance >= 1 || rng.next() < chance)) {
+          this.writeCell(x, y, DEAD)
+        }
+      }
     }
-    return pattern
   }
 
   /**
-   * Get a region of the grid.
-   *
-   * @param {number} startX - Starting column
-   * @param {number} startY - Starting row
-   * @param {number} width - Width of region
-   * @param {number} height - Height of region
-   * @returns {number[][]} 2D array of the region
+   * Compute the next generation and conditionally apply the mask.
+   * Overrides parent step() so state detection sees the masked grid.
    */
-  getRegion(startX, startY, width, height) {
-    const region = []
-    for (let x = 0; x < width; x++) {
-      region[x] = []
-      for (let y = 0; y < height; y++) {
-        const gridX = startX + x
-        const gridY = startY + y
-        if (gridX >= 0 && gridX < this.cols && gridY >= 0 && gridY < this.rows) {
-          region[x][y] = this.current[gridX][gridY]
-        } else {
-          region[x][y] = DEAD
-        }
-      }
+  step() {
+    super.step()  // Standard GoL step with the engine's rule
+
+    // Apply mask every N generations (not every frame)
+    if (this.generation % this.maskInterval === 0) {
+      this.applyMask()
     }
-    return region
   }
 
   /**
-   * Count total alive cells in the grid.
+   * Reshape the grid (see GoLEngine.resize()); the mask is re-fitted to the new size.
    *
-   * @returns {number} Number of alive cells
+   * @private
    */
-  countAliveCells() {
-    let count = 0
-    for (let x = 0; x < this.cols; x++) {
-      for (let y = 0; y < this.rows; y++) {
-        count += this.current[x][y]
-      }
-    }
-    return count
+  _reshape(cols, rows, offsetX, offsetY) {
+    super._reshape(cols, rows, offsetX, offsetY)
+    this._killChances = null
   }
 
   /**
-   * Get cell density (percentage of alive cells).
+   * Kill probabilities for the current mask and grid size.
    *
-   * @returns {number} Density as a value between 0 and 1
+   * @private
+   * @returns {Float32Array} Kill probability per cell, index x * rows + y
    */
-  getDensity() {
-    return this.countAliveCells() / (this.cols * this.rows)
+  _getKillChances() {
+    if (!this._killChances) {
+      this._killChances = rasterizeMask(this.mask, this.cols, this.rows, this.maskSoftness)
+    }
+    return this._killChances
   }
 }
 
@@ -387,9 +2616,17 @@ class GoLEngine {
  * - Interval 6-8: Balanced organic/stable (RECOMMENDED)
  * - Interval 10+: Very organic but can look unstable
  *
- * @extends GoLEngine
+ * Built on MaskedGoL with a circle mask; use MaskedGoL directly for other
+ * shapes (ellipse, ring, polygon, bitmap, sprite alpha) or soft edges.
+ *
+ * EDGE BEHAVIOUR (options.boundary):
+ * - Boundary.DEAD (default): the mask already keeps cells away from the edges
+ * - Boundary.MIRROR: edge cells keep full neighborhoods when maskRadiusFactor is ~1.0
+ * - Boundary.TORUS: growth leaving one side re-enters opposite, then gets pruned
+ *
+ * @extends MaskedGoL
  */
-class CircularMaskedGoL extends GoLEngine {
+class CircularMaskedGoL extends MaskedGoL {
   /**
    * Create a new GoL engine with interval-based circular masking.
    *
@@ -398,15 +2635,38 @@ class CircularMaskedGoL extends GoLEngine {
    * @param {number} updateRateFPS - Target update rate in frames per second
    * @param {number} maskRadiusFactor - Radius as percentage of grid (default: 0.8)
    * @param {number} maskInterval - Apply mask every N generations (default: 6)
+   * @param {Object} [options] - Engine options (see GoLEngine), e.g. { rule: Rules.HIGHLIFE, boundary: Boundary.MIRROR }
    */
-  constructor(cols, rows, updateRateFPS = 10, maskRadiusFactor = 0.8, maskInterval = 6) {
-    super(cols, rows, updateRateFPS)
+  constructor(cols, rows, updateRateFPS = 10, maskRadiusFactor = 0.8, maskInterval = 6, options = {}) {
+    // Distance measured from the cell's corner to (cols/2, rows/2), as always
+    const circle = customMask((x, y, maskCols, maskRows) =>
+      Math.hypot(x - maskCols / 2, y - maskRows / 2) <= (Math.min(maskCols, maskRows) / 2) * maskRadiusFactor)
+    super(cols, rows, updateRateFPS, circle, { ...options, maskInterval })
 
-    // Calculate circular mask parameters
-    this.centerX = cols / 2
-    this.centerY = rows / 2
-    this.maskRadius = (Math.min(cols, rows) / 2) * maskRadiusFactor
-    this.maskInterval = maskInterval
+    // Circular mask parameters
+    this.maskRadiusFactor = maskRadiusFactor
+    this._updateCircle()
+  }
+
+  /**
+   * Reshape the grid (see GoLEngine.resize()); the circle follows the new size.
+   *
+   * @private
+   */
+  _reshape(cols, rows, offsetX, offsetY) {
+    super._reshape(cols, rows, offsetX, offsetY)
+    this._updateCircle()
+  }
+
+  /**
+   * Recompute centerX, centerY and maskRadius for the current grid size.
+   *
+   * @private
+   */
+  _updateCircle() {
+    this.centerX = this.cols / 2
+    this.centerY = this.rows / 2
+    this.maskRadius = (Math.min(this.cols, this.rows) / 2) * this.maskRadiusFactor
   }
 
   /**
@@ -414,33 +2674,59 @@ class CircularMaskedGoL extends GoLEngine {
    * Called every maskInterval generations (not every frame).
    */
   applyCircularMask() {
-    for (let x = 0; x < this.cols; x++) {
-      for (let y = 0; y < this.rows; y++) {
-        // Calculate distance from center
-        const dx = x - this.centerX
-        const dy = y - this.centerY
-        const distance = Math.sqrt(dx * dx + dy * dy)
-
-        // Kill cells outside radius
-        if (distance > this.maskRadius) {
-          this.current[x][y] = DEAD
-        }
-      }
-    }
+    this.applyMask()
   }
+}
 
-  /**
-   * Update GoL and conditionally apply circular mask.
-   * Overrides parent update() to add interval-based masking.
-   */
-  update() {
-    super.update()  // Standard GoL update with B3/S23 rules
+/**
+ * Wrap an index into [0, size).
+ *
+ * @param {number} i - Index
+ * @param {number} size - Dimension size
+ * @returns {number} Wrapped index
+ */
+function wrap(i, size) {
+  return ((i % size) + size) % size
+}
 
-    // Apply mask every N generations (not every frame)
-    if (this.generation % this.maskInterval === 0) {
-      this.applyCircularMask()
-    }
+/**
+ * Encode bytes as base64 (chunked, so large grids don't overflow the call stack).
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function encodeBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/**
+ * Decode base64 text into bytes.
+ *
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase64(text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
   }
+  return bytes
+}
+
+/**
+ * Clamp an index into [0, size - 1].
+ *
+ * @param {number} i - Index
+ * @param {number} size - Dimension size
+ * @returns {number} Clamped index
+ */
+function clampIndex(i, size) {
+  return Math.max(0, Math.min(size - 1, i))
 }
 
-export { GoLEngine, CircularMaskedGoL, ALIVE, DEAD }
+export { GoLEngine, MaskedGoL, CircularMaskedGoL, ALIVE, DEAD, Rules, Boundary, Neighborhood, Team, BlendMode, Anchor, LifeState, Clock, parseRule }
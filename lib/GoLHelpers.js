@@ -4,10 +4,15 @@
  * Import these functions in your game file:
  * import { seedRadialDensity, applyLifeForce, maintainDensity } from '../src/utils/GoLHelpers.js'
  *
+ * RANDOMNESS: every helper draws from the engine's generator (engine.rng,
+ * globalRandom by default), so seeding makes injections reproducible.
+ *
  * @author Game of Life Arcade
  * @license ISC
  */
 
+import { globalRandom } from './Random.js'
+
 /**
  * Seed GoL grid with radial density gradient.
  * Creates organic, irregular edges by placing more cells in center, fewer at edges.
@@ -19,13 +24,14 @@
  * @param {GoLEngine} engine - GoL engine to seed
  * @param {number} centerDensity - Probability at center (0.0-1.0, e.g., 0.8 = 80% alive)
  * @param {number} edgeDensity - Probability at edges (0.0-1.0, e.g., 0.1 = 10% alive)
+ * @param {SeededRandom} [rng=engine.rng] - Random generator
  *
  * @example
  * // Create player with dense organic shape
  * const player = { gol: new GoLEngine(6, 6, 12) }
  * seedRadialDensity(player.gol, 0.85, 0.0)
  */
-export function seedRadialDensity(engine, centerDensity = 0.7, edgeDensity = 0.1) {
+export function seedRadialDensity(engine, centerDensity = 0.7, edgeDensity = 0.1, rng = engine.rng || globalRandom) {
   const centerX = engine.cols / 2
   const centerY = engine.rows / 2
   const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY)
@@ -38,7 +44,7 @@ export function seedRadialDensity(engine, centerDensity = 0.7, edgeDensity = 0.1
       const normalizedDistance = distance / maxDistance
       const density = centerDensity + (edgeDensity - centerDensity) * normalizedDistance
 
-      if (Math.random() < density) {
+      if (rng.next() < density) {
         engine.setCell(x, y, 1)
       }
     }
@@ -59,16 +65,18 @@ export function seedRadialDensity(engine, centerDensity = 0.7, edgeDensity = 0.1
  *   - Explosions (should evolve freely)
  *
  * @param {Object} entity - Entity with .gol property
+ * @param {SeededRandom} [rng=entity.gol.rng] - Random generator
  *
  * @example
  * // In your update loop:
  * player.gol.updateThrottled(state.frameCount)
  * applyLifeForce(player)  // Keep player alive
  */
-export function applyLifeForce(entity) {
+export function applyLifeForce(entity, rng) {
   if (!entity.gol) return
 
   const engine = entity.gol
+  rng = rng || engine.rng || globalRandom
   const totalCells = engine.cols * engine.rows
   const aliveCount = engine.countAliveCells()
   const density = aliveCount / totalCells
@@ -88,8 +96,8 @@ export function applyLifeForce(entity) {
 
     for (let i = 0; i < cellsToInject; i++) {
       // Weighted random towards center
-      const angle = Math.random() * Math.PI * 2
-      const radius = Math.random() * maxRadius * 0.7  // 70% of max radius
+      const angle = rng.next() * Math.PI * 2
+      const radius = rng.next() * maxRadius * 0.7  // 70% of max radius
       const x = Math.floor(centerX + Math.cos(angle) * radius)
       const y = Math.floor(centerY + Math.sin(angle) * radius)
 
@@ -111,6 +119,7 @@ export function applyLifeForce(entity) {
  *
  * @param {Object} entity - Entity with .gol property
  * @param {number} targetDensity - Target density (0.0-1.0, default 0.6)
+ * @param {SeededRandom} [rng=entity.gol.rng] - Random generator
  *
  * @example
  * // For bullets (Visual Only - no evolution):
@@ -118,10 +127,11 @@ export function applyLifeForce(entity) {
  *   maintainDensity(bullet, 0.75)
  * }
  */
-export function maintainDensity(entity, targetDensity = 0.6) {
+export function maintainDensity(entity, targetDensity = 0.6, rng) {
   if (!entity.gol) return
 
   const engine = entity.gol
+  rng = rng || engine.rng || globalRandom
   const totalCells = engine.cols * engine.rows
   const aliveCount = engine.countAliveCells()
   const currentDensity = aliveCount / totalCells
@@ -129,8 +139,8 @@ export function maintainDensity(entity, targetDensity = 0.6) {
   if (currentDensity < targetDensity) {
     const cellsToRevive = Math.floor(totalCells * (targetDensity - currentDensity))
     for (let i = 0; i < cellsToRevive; i++) {
-      const x = Math.floor(Math.random() * engine.cols)
-      const y = Math.floor(Math.random() * engine.rows)
+      const x = rng.int(0, engine.cols)
+      const y = rng.int(0, engine.rows)
       engine.setCell(x, y, 1)
     }
   }
@@ -0,0 +1,15 @@
+/**
+ * Web Worker entry point for GoLWorkerPool.
+ * Started as a module worker: new Worker(url, { type: 'module' })
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { handleWorkerMessage } from './GoLWorkerPool.js'
+
+const engines = new Map()  // Pool id -> scratch GoLEngine
+
+self.onmessage = (event) => {
+  handleWorkerMessage(engines, event.data, (message, transfer) => self.postMessage(message, transfer))
+}
@@ -0,0 +1,363 @@
+/**
+ * Worker-backed simulation pool for GoLEngine entities.
+ *
+ * Steps many engines off the main thread so p5's draw() only renders.
+ * Engines stay ordinary GoLEngine instances on the main thread (renderers,
+ * collision and helpers read them as usual); the pool ships their grids to
+ * workers and copies the evolved grids back.
+ *
+ * FLOW (per pool.updateThrottled() call):
+ * 1. Each engine's own throttle decides how many generations are due
+ *    (frame or time clock, see GoLEngine.takeDueSteps())
+ * 2. Due engines are batched per worker; grids travel as transferable
+ *    ArrayBuffers (moved, not copied)
+ * 3. Results arrive a frame or so later and are applied with
+ *    GoLEngine.applyGenerations() (history, ages, events keep working)
+ *
+ * LIMITATIONS:
+ * - Writes to an engine (setCell, applyLifeForce) while its step is in
+ *   flight are overwritten by the result; write before updateThrottled()
+ *   or await whenIdle() (a result for an engine resized meanwhile is dropped)
+ * - Only plain GoLEngine instances (subclasses that override step(), like
+ *   MaskedGoL and CircularMaskedGoL, must stay on the main thread)
+ *
+ * TESTING: pass { createWorker: createLocalWorker } to run the same
+ * protocol in-thread (also the fallback when a module worker cannot start,
+ * e.g. no Worker support or a file:// page).
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine } from './GoLEngine.js'
+
+/**
+ * Pool of workers stepping registered engines.
+ *
+ * @example
+ * const pool = new GoLWorkerPool({ workerCount: 2 })
+ * particles.forEach(p => pool.add(p.gol))
+ *
+ * function draw() {
+ *   pool.updateThrottled(deltaTime)  // Instead of p.gol.updateThrottled(...)
+ *   particles.forEach(p => renderer.renderMaskedGrid(p.gol, p.x, p.y, p.cellSize))
+ * }
+ */
+class GoLWorkerPool {
+  /**
+   * Create a worker pool.
+   *
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.workerCount=2] - Number of workers
+   * @param {Function} [options.createWorker] - Factory returning a Worker-like object
+   *   ({ postMessage, terminate, onmessage, onerror }); default: module worker running
+   *   GoLWorker.js, or createLocalWorker() if a module worker cannot start
+   */
+  constructor(options = {}) {
+    const createWorker = options.createWorker || defaultCreateWorker
+    const workerCount = Math.max(1, options.workerCount || 2)
+
+    this.workers = []
+    for (let w = 0; w < workerCount; w++) {
+      const worker = createWorker()
+      worker.onmessage = (event) => this._handleMessage(w, event.data)
+      worker.onerror = (event) => this._handleError(w, event)
+      this.workers.push(worker)
+    }
+
+    this._entries = new Map()  // id -> { engine, worker, buffer, inFlight, pendingSteps }
+    this._nextId = 1
+    this._inFlight = 0
+    this._workerInFlight = this.workers.map(() => 0)  // Jobs outstanding per worker (removed engines included)
+    this._idleResolvers = []
+  }
+
+  /**
+   * Register an engine to be stepped by the pool.
+   *
+   * @param {GoLEngine} engine - Engine to step (must be a plain GoLEngine)
+   * @returns {number} Engine id in the pool
+   * @throws {Error} If the engine is a subclass with its own step()
+   */
+  add(engine) {
+    if (Object.getPrototypeOf(engine) !== GoLEngine.prototype) {
+      throw new Error('[GoLWorkerPool] Only plain GoLEngine instances can run on a worker (subclasses override step())')
+    }
+
+    const id = this._nextId++
+    this._entries.set(id, {
+      engine,
+      worker: (id - 1) % this.workers.length,
+      buffer: null,
+      inFlight: false,
+      pendingSteps: 0
+    })
+    engine._workerPoolId = id
+    return id
+  }
+
+  /**
+   * Stop stepping an engine. A result still in flight is discarded.
+   *
+   * @param {GoLEngine} engine - Engine passed to add()
+   */
+  remove(engine) {
+    const id = engine._workerPoolId
+    const entry = this._entries.get(id)
+    if (!entry) return
+
+    this._entries.delete(id)
+    delete engine._workerPoolId
+    this.workers[entry.worker].postMessage({ type: 'remove', id })
+  }
+
+  /**
+   * Step every registered engine that is due, off-thread.
+   * Mirrors GoLEngine.updateThrottled(): pass the frame count (frame clock)
+   * or elapsed milliseconds (time clock), according to each engine's clock.
+   *
+   * @param {number} frameCountOrDeltaMs - Frame count or p5.js deltaTime
+   * @returns {number} Number of engines dispatched to workers
+   */
+  updateThrottled(frameCountOrDeltaMs) {
+    const batches = this.workers.map(() => ({ jobs: [], transfer: [] }))
+    let dispatched = 0
+
+    for (const [id, entry] of this._entries) {
+      // Due steps accumulate while a job is in flight (capped like time-mode catch-up)
+      entry.pendingSteps = Math.min(
+        entry.pendingSteps + entry.engine.takeDueSteps(frameCountOrDeltaMs),
+        entry.engine.maxCatchUpSteps
+      )
+
+      // One job per engine at a time
+      if (entry.inFlight || entry.pendingSteps === 0) continue
+
+      const engine = entry.engine
+      if (!entry.buffer || entry.buffer.length !== engine.cells.length) {
+        entry.buffer = new Uint8Array(engine.cells.length)  // Detached after a transfer, or engine resized
+      }
+      entry.buffer.set(engine.cells)
+
+      const batch = batches[entry.worker]
+      batch.jobs.push({
+        id,
+        cols: engine.cols,
+        rows: engine.rows,
+        tileSize: engine.tileSize,
+        rule: engine.getRule(),
+        boundary: engine.boundary,
+        steps: entry.pendingSteps,
+        cells: entry.buffer
+      })
+      batch.transfer.push(entry.buffer.buffer)
+
+      entry.buffer = null
+      entry.inFlight = true
+      entry.pendingSteps = 0
+      dispatched++
+    }
+
+    batches.forEach((batch, w) => {
+      if (batch.jobs.length === 0) return
+      this._inFlight += batch.jobs.length
+      this._workerInFlight[w] += batch.jobs.length
+      this.workers[w].postMessage({ type: 'step', jobs: batch.jobs }, batch.transfer)
+    })
+
+    return dispatched
+  }
+
+  /**
+   * Wait until no steps are in flight (e.g. before editing engines or saving).
+   *
+   * @returns {Promise<void>} Resolves when every dispatched result has been applied
+   */
+  whenIdle() {
+    if (this._inFlight === 0) {
+      return Promise.resolve()
+    }
+    return new Promise(resolve => this._idleResolvers.push(resolve))
+  }
+
+  /**
+   * Terminate all workers. The pool cannot be used afterwards.
+   */
+  terminate() {
+    this.workers.forEach(worker => worker.terminate())
+    this.workers = []
+    this._entries.clear()
+    this._workerInFlight = []
+    this._settle(this._inFlight)
+  }
+
+  /**
+   * Apply results from a worker.
+   *
+   * @private
+   * @param {number} workerIndex - Index of the replying worker
+   * @param {Object} message - { type: 'stepped', jobs: [{ id, steps, cells }] }
+   */
+  _handleMessage(workerIndex, message) {
+    if (message.type !== 'stepped') return
+
+    for (const job of message.jobs) {
+      const entry = this._entries.get(job.id)
+      if (!entry) continue  // Removed while in flight
+
+      // Resized while in flight (see GoLEngine.resize()): the result no longer fits
+      if (job.cells.length === entry.engine.cells.length) {
+        entry.engine.applyGenerations(job.cells, job.steps)
+      }
+      entry.buffer = job.cells  // Reuse the returned buffer next time
+      entry.inFlight = false
+    }
+    this._workerInFlight[workerIndex] -= message.jobs.length
+    this._settle(message.jobs.length)
+  }
+
+  /**
+   * Log a worker failure and release its engines so they can be retried.
+   * Every job the worker had outstanding is settled, including jobs of
+   * engines removed while in flight, so whenIdle() still resolves.
+   *
+   * @private
+   * @param {number} workerIndex - Index of the failed worker
+   * @param {Event} event - Error event
+   */
+  _handleError(workerIndex, event) {
+    console.error(`[GoLWorkerPool] Worker ${workerIndex} failed:`, event.message || event)
+
+    for (const entry of this._entries.values()) {
+      if (entry.worker === workerIndex) {
+        entry.inFlight = false
+      }
+    }
+
+    const outstanding = this._workerInFlight[workerIndex]
+    this._workerInFlight[workerIndex] = 0
+    this._settle(outstanding)
+  }
+
+  /**
+   * Count finished jobs and resolve whenIdle() promises.
+   *
+   * @private
+   * @param {number} count - Jobs finished
+   */
+  _settle(count) {
+    this._inFlight = Math.max(0, this._inFlight - count)
+    if (this._inFlight === 0) {
+      this._idleResolvers.forEach(resolve => resolve())
+      this._idleResolvers = []
+    }
+  }
+}
+
+/**
+ * Worker-side message handler (runs inside GoLWorker.js or createLocalWorker()).
+ * Keeps one scratch engine per pool id and steps the grids it receives.
+ *
+ * @param {Map} engines - Per-worker engine cache (id -> GoLEngine)
+ * @param {Object} message - { type: 'step', jobs } or { type: 'remove', id }
+ * @param {Function} reply - (message, transfer) => void, e.g. self.postMessage
+ */
+function handleWorkerMessage(engines, message, reply) {
+  if (message.type === 'remove') {
+    engines.delete(message.id)
+    return
+  }
+
+  if (message.type !== 'step') return
+
+  const results = []
+  const transfer = []
+  for (const job of message.jobs) {
+    let engine = engines.get(job.id)
+    if (!engine || engine.cols !== job.cols || engine.rows !== job.rows) {
+      engine = new GoLEngine(job.cols, job.rows, 0, { tileSize: job.tileSize })
+      engines.set(job.id, engine)
+    }
+    if (engine.getRule() !== job.rule) engine.setRule(job.rule)
+    if (engine.boundary !== job.boundary) engine.setBoundary(job.boundary)
+
+    engine.cells.set(job.cells)
+    engine.invalidate()
+    for (let i = 0; i < job.steps; i++) {
+      engine.step()
+    }
+    job.cells.set(engine.cells)
+
+    results.push({ id: job.id, steps: job.steps, cells: job.cells })
+    transfer.push(job.cells.buffer)
+  }
+
+  reply({ type: 'stepped', jobs: results }, transfer)
+}
+
+/**
+ * In-thread stand-in for a Worker with the same asynchronous message protocol.
+ * Used for tests and as the fallback when Web Workers are unavailable.
+ *
+ * @returns {Object} Worker-like object ({ postMessage, terminate, onmessage, onerror })
+ *
+ * @example
+ * const pool = new GoLWorkerPool({ createWorker: createLocalWorker })
+ */
+function createLocalWorker() {
+  const engines = new Map()
+  let terminated = false
+
+  // Structured clone with transfer mimics a real worker boundary (detaches sent buffers)
+  const send = (message, transfer) => typeof structuredClone === 'function'
+    ? structuredClone(message, { transfer })
+    : message
+
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage(message, transfer = []) {
+      const data = send(message, transfer)
+      setTimeout(() => {
+        if (terminated) return
+        try {
+          handleWorkerMessage(engines, data, (reply, replyTransfer = []) => {
+            const replyData = send(reply, replyTransfer)
+            setTimeout(() => {
+              if (!terminated && worker.onmessage) worker.onmessage({ data: replyData })
+            }, 0)
+          })
+        } catch (error) {
+          if (worker.onerror) worker.onerror({ message: error.message })
+        }
+      }, 0)
+    },
+    terminate() {
+      terminated = true
+      engines.clear()
+    }
+  }
+  return worker
+}
+
+/**
+ * Default worker factory: module worker running GoLWorker.js.
+ *
+ * @returns {Object} Worker (or local stand-in when a module worker cannot start)
+ */
+function defaultCreateWorker() {
+  if (typeof Worker === 'undefined') {
+    console.warn('[GoLWorkerPool] Web Workers unavailable, stepping in-thread')
+    return createLocalWorker()
+  }
+
+  try {
+    return new Worker(new URL('./GoLWorker.js', import.meta.url), { type: 'module' })
+  } catch (error) {
+    // SecurityError on file:// pages, TypeError where module workers are unsupported
+    console.warn(`[GoLWorkerPool] Web Workers unavailable (${error.message}), stepping in-thread`)
+    return createLocalWorker()
+  }
+}
+
+export { GoLWorkerPool, handleWorkerMessage, createLocalWorker }
@@ -6,6 +6,8 @@
  * @license ISC
  */
 
+import { globalRandom } from './Random.js'
+
 /**
  * Google brand color palette (RGB values).
  * Official Google brand colors.
@@ -26,6 +28,10 @@ export const GOOGLE_COLORS = {
  * - controlPoints: Number of gradient control points (4-8)
  * - animationSpeed: Speed of gradient animation (pixels/frame)
  * - perColumn: Whether to render gradient per column for variation
+ * - age (optional): Age mapping for engines that track cell age
+ *   (see AGE_MAPPINGS and withAgeMapping())
+ * - colors (optional): Colour → preset map for colour rules
+ *   (see TEAM_PRESETS and withColorPresets())
  */
 export const GRADIENT_PRESETS = {
   /**
@@ -191,15 +197,16 @@ export const GRADIENT_PRESETS = {
 /**
  * Get a random enemy gradient preset.
  *
+ * @param {SeededRandom} [rng=globalRandom] - Random generator
  * @returns {object} Random enemy gradient preset
  */
-export function getRandomEnemyGradient() {
+export function getRandomEnemyGradient(rng = globalRandom) {
   const enemyPresets = [
     GRADIENT_PRESETS.ENEMY_HOT,
     GRADIENT_PRESETS.ENEMY_COLD,
     GRADIENT_PRESETS.ENEMY_RAINBOW
   ]
-  return enemyPresets[Math.floor(Math.random() * enemyPresets.length)]
+  return rng.pick(enemyPresets)
 }
 
 /**
@@ -260,3 +267,96 @@ export function createCustomGradient(name, colors, controlPoints = 6, animationS
     perColumn
   }
 }
+
+/**
+ * Age mappings for age-based rendering (see SimpleGradientRenderer.renderMaskedGrid).
+ * Only used with engines created with { trackAge: true }.
+ *
+ * Each mapping includes:
+ * - mode: 'brightness' (scale gradient color) or 'color' (blend towards color)
+ * - maxAge: Age in generations at which the effect is complete
+ * - from/to: Brightness factors (mode 'brightness') or blend amounts 0-1
+ *   (mode 'color') for a newborn cell and a cell of maxAge or older
+ * - color: RGB color to blend towards (mode 'color' only)
+ */
+export const AGE_MAPPINGS = {
+  /**
+   * Newborn cells glow, stable cells settle to a dimmer gradient
+   */
+  SETTLE: {
+    mode: 'brightness',
+    maxAge: 12,
+    from: 1.0,
+    to: 0.55
+  },
+
+  /**
+   * Newborn cells flash white, fading into the gradient
+   */
+  FLASH: {
+    mode: 'color',
+    color: GOOGLE_COLORS.WHITE,
+    maxAge: 6,
+    from: 0.8,
+    to: 0
+  },
+
+  /**
+   * Old cells harden to white (armor-like cores)
+   */
+  HARDEN: {
+    mode: 'color',
+    color: GOOGLE_COLORS.WHITE,
+    maxAge: 30,
+    from: 0,
+    to: 0.7
+  }
+}
+
+/**
+ * Opt a gradient preset into age-based rendering.
+ *
+ * @param {object} preset - Gradient preset (e.g. GRADIENT_PRESETS.ENEMY_HOT)
+ * @param {object} ageMapping - Age mapping (e.g. AGE_MAPPINGS.SETTLE)
+ * @returns {object} Copy of the preset with the age mapping attached
+ *
+ * @example
+ * const enemy = {
+ *   gol: new GoLEngine(10, 10, 12, { trackAge: true }),
+ *   gradient: withAgeMapping(GRADIENT_PRESETS.ENEMY_HOT, AGE_MAPPINGS.SETTLE)
+ * }
+ * renderer.renderMaskedGrid(enemy.gol, x, y, cellSize, enemy.gradient)
+ */
+export function withAgeMapping(preset, ageMapping) {
+  return { ...preset, age: ageMapping }
+}
+
+/**
+ * Per-colour presets for colour rules (Rules.IMMIGRATION, Rules.QUADLIFE).
+ * Keyed by cell colour (GoLEngine Team values); each team gets one Google
+ * colour shaded towards white, so teams stay distinguishable while animated.
+ */
+export const TEAM_PRESETS = {
+  1: createCustomGradient('Team Player (Blue)', [GOOGLE_COLORS.BLUE, [160, 194, 249], GOOGLE_COLORS.BLUE]),
+  2: createCustomGradient('Team Enemy (Red)', [GOOGLE_COLORS.RED, [245, 161, 154], GOOGLE_COLORS.RED]),
+  3: createCustomGradient('Team Neutral (Green)', [GOOGLE_COLORS.GREEN, [153, 212, 169], GOOGLE_COLORS.GREEN]),
+  4: createCustomGradient('Team Bonus (Yellow)', [GOOGLE_COLORS.YELLOW, [253, 222, 130], GOOGLE_COLORS.YELLOW])
+}
+
+/**
+ * Opt a gradient preset into per-colour rendering for colour rules.
+ *
+ * @param {object} preset - Gradient preset (used for colours without an entry)
+ * @param {object} [colorPresets=TEAM_PRESETS] - Colour → preset map
+ * @returns {object} Copy of the preset with the colour map attached
+ *
+ * @example
+ * const arena = {
+ *   gol: new GoLEngine(40, 40, 10, { rule: Rules.QUADLIFE }),
+ *   gradient: withColorPresets(GRADIENT_PRESETS.BACKGROUND)
+ * }
+ * renderer.renderMaskedGrid(arena.gol, 0, 0, 30, arena.gradient)
+ */
+export function withColorPresets(preset, colorPresets = TEAM_PRESETS) {
+  return { ...preset, colors: colorPresets }
+}
@@ -0,0 +1,738 @@
+/**
+ * HashLife.js
+ *
+ * HashLife engine for huge or long-running patterns on an unbounded plane.
+ * Follows the GoLEngine API (setPattern, getCell, getRegion, countAliveCells)
+ * and adds step(n), which jumps n generations in O(log n) node operations
+ * once the pattern's structure has been memoized.
+ *
+ * ALGORITHM (Gosper's HashLife):
+ * - The plane is a quadtree of canonical (hash-consed) nodes: identical
+ *   sub-patterns anywhere in space or time share one node
+ * - Each node of level k (2^k × 2^k cells) memoizes its centre
+ *   (2^(k-1) × 2^(k-1)) advanced 2^j generations (j <= k-2)
+ * - step(n) splits n into powers of two and does one memoized jump per bit
+ *
+ * USE CASES:
+ * - Pre-evolve methuselahs (Patterns.ACORN settles after 5,206 generations)
+ *   to any generation at load time, then copy a window into a GoLEngine
+ * - Backgrounds made of guns/puffers that grow without bound
+ *
+ * LIMITATIONS:
+ * - Life-like rules only (B/S notation), and not B0 rules (empty space would not stay empty);
+ *   Generations and colour rules need more than one bit per cell and are rejected
+ * - Moore neighborhood of radius 1 only (no von Neumann, hexagonal or
+ *   Larger-than-Life rules)
+ * - Memory grows with pattern complexity; the node table is garbage
+ *   collected when it exceeds options.maxNodes
+ *
+ * @module HashLife
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { ALIVE, DEAD, Rules, Neighborhood, parseRule } from './GoLEngine.js'
+import { patternCells } from './Patterns.js'
+
+// Base tables depend only on the rule and take ~10 ms to build: shared by every engine
+const baseTables = new Map()  // rulestring -> Uint8Array
+
+/**
+ * Why HashLife cannot run a parsed rule.
+ *
+ * @private
+ * @param {Object} parsed - Result of parseRule()
+ * @returns {string|null} Reason, or null if the rule is supported
+ */
+function unsupportedRuleReason(parsed) {
+  if (parsed.states !== 2) return 'Multi-state (Generations or colour) rules are not supported'
+  if (parsed.neighborhood !== Neighborhood.MOORE || parsed.radius !== 1 || parsed.includeCenter) {
+    return 'Only radius-1 Moore rules are supported'
+  }
+  if (parsed.birth.includes(0)) return 'B0 rules are not supported'
+  return null
+}
+
+/**
+ * HashLife engine on an unbounded plane (coordinates may be negative).
+ */
+class HashLifeEngine {
+  /**
+   * Create a new HashLife engine with an empty universe.
+   *
+   * @param {Object} [options] - Engine options
+   * @param {string|Object} [options.rule='B3/S23'] - Life-like rulestring or parsed rule
+   * @param {number} [options.maxNodes=500000] - Node count that triggers garbage collection
+   *
+   * @example
+   * const life = new HashLifeEngine()
+   * life.setPattern(Patterns.ACORN, 0, 0)
+   * life.step(5206)  // Settled acorn (one-off cost at load, well under a second)
+   * console.log(life.countAliveCells())  // 633
+   */
+  constructor(options = {}) {
+    this.maxNodes = options.maxNodes || 500000
+
+    this._table = new Map()  // Canonical node table: hash → bucket chain of nodes
+    this._nodeCount = 0
+    this._nextId = 2
+    this._emptyNodes = []    // Cached empty node per level
+
+    // Level 0 leaves (single cells) are fixed singletons
+    this._deadLeaf = { level: 0, population: 0, id: 0 }
+    this._aliveLeaf = { level: 0, population: 1, id: 1 }
+
+    this.setRule(options.rule || Rules.CONWAY)
+    this.clearGrid()
+  }
+
+  /**
+   * Check whether HashLife can run a rule (two-state, radius-1 Moore, no B0).
+   *
+   * @param {string|Object} rule - Rulestring or result of parseRule()
+   * @returns {boolean} True if setRule() accepts it
+   * @throws {Error} If the rulestring is malformed
+   *
+   * @example
+   * HashLifeEngine.supportsRule('B36/S23')      // true (HighLife)
+   * HashLifeEngine.supportsRule('B2/S/C3')      // false (Generations)
+   */
+  static supportsRule(rule) {
+    return unsupportedRuleReason(typeof rule === 'string' ? parseRule(rule) : rule) === null
+  }
+
+  /**
+   * Change the rule. Clears all memoized results (they depend on the rule).
+   *
+   * @param {string|Object} rule - Rulestring (e.g. 'B36/S23') or result of parseRule()
+   * @throws {Error} If the rule is malformed, has B0, is a multi-state rule or
+   *   uses a neighborhood other than radius-1 Moore
+   */
+  setRule(rule) {
+    const parsed = typeof rule === 'string' ? parseRule(rule) : rule
+    const unsupported = unsupportedRuleReason(parsed)
+    if (unsupported) {
+      throw new Error(`[HashLife] ${unsupported}: ${parsed.rulestring}`)
+    }
+
+    this.rule = parsed
+    this._ruleTable = parsed.table
+    if (!baseTables.has(parsed.rulestring)) {
+      baseTables.set(parsed.rulestring, this._buildBaseTable())
+    }
+    this._baseTable = baseTables.get(parsed.rulestring)
+
+    // Memoized results are rule-specific
+    if (this.root) {
+      this._collectGarbage()
+    }
+  }
+
+  /**
+   * Get the current rulestring.
+   *
+   * @returns {string} Normalized rulestring (e.g. 'B3/S23')
+   */
+  getRule() {
+    return this.rule.rulestring
+  }
+
+  /**
+   * Clear the universe (all cells dead) and reset the generation counter.
+   */
+  clearGrid() {
+    this._table.clear()
+    this._nodeCount = 0
+    this._emptyNodes = [this._deadLeaf]
+    this.root = this._emptyNode(3)
+    this.generation = 0
+  }
+
+  // ============================================
+  // CELL ACCESS
+  // ============================================
+
+  /**
+   * Set a specific cell to alive or dead.
+   *
+   * @param {number} x - Column (any integer)
+   * @param {number} y - Row (any integer)
+   * @param {number} state - ALIVE or DEAD
+   */
+  setCell(x, y, state) {
+    while (!this._contains(x, y)) {
+      this.root = this._expand(this.root)
+    }
+
+    const half = 2 ** (this.root.level - 1)
+    this.root = this._setCell(this.root, x + half, y + half, state ? ALIVE : DEAD)
+  }
+
+  /**
+   * Get the state of a specific cell.
+   *
+   * @param {number} x - Column (any integer)
+   * @param {number} y - Row (any integer)
+   * @returns {number} ALIVE or DEAD
+   */
+  getCell(x, y) {
+    if (!this._contains(x, y)) {
+      return DEAD
+    }
+
+    const half = 2 ** (this.root.level - 1)
+    let node = this.root
+    let nx = x + half
+    let ny = y + half
+
+    while (node.level > 0) {
+      if (node.population === 0) return DEAD
+      const h = 2 ** (node.level - 1)
+      if (ny < h) {
+        node = nx < h ? node.nw : node.ne
+      } else {
+        node = nx < h ? node.sw : node.se
+        ny -= h
+      }
+      if (nx >= h) nx -= h
+    }
+
+    return node.population
+  }
+
+  /**
+   * Set a pattern at a specific location.
+   * Pattern format: pattern[row][col] where row=y, col=x (same as GoLEngine).
+   * Dead pattern cells overwrite live cells underneath, like GoLEngine.setPattern() in its default replace mode.
+   *
+   * @param {number[][]|Pattern} pattern - 2D array where 1=alive, 0=dead (row-major format), or a Pattern
+   * @param {number} startX - Starting column
+   * @param {number} startY - Starting row
+   */
+  setPattern(pattern, startX = 0, startY = 0) {
+    const cells = patternCells(pattern)
+    for (let row = 0; row < cells.length; row++) {
+      for (let col = 0; col < cells[row].length; col++) {
+        const state = cells[row][col] ? ALIVE : DEAD
+        if (state === ALIVE || this.getCell(startX + col, startY + row) === ALIVE) {
+          this.setCell(startX + col, startY + row, state)
+        }
+      }
+    }
+  }
+
+  /**
+   * Get a region of the universe.
+   *
+   * @param {number} startX - Starting column
+   * @param {number} startY - Starting row
+   * @param {number} width - Width of region
+   * @param {number} height - Height of region
+   * @returns {number[][]} 2D array of the region (column-major: region[x][y], like GoLEngine)
+   */
+  getRegion(startX, startY, width, height) {
+    const region = []
+    for (let x = 0; x < width; x++) {
+      region[x] = new Array(height).fill(DEAD)
+    }
+
+    const half = 2 ** (this.root.level - 1)
+    this._forEachAlive(this.root, -half, -half, startX, startY, width, height, (x, y) => {
+      region[x - startX][y - startY] = ALIVE
+    })
+
+    return region
+  }
+
+  /**
+   * List the live cells of a region. Cost grows with the live cells, not the
+   * area, so huge sparse regions (a methuselah and its escaping gliders) are cheap.
+   *
+   * @param {number} startX - Starting column
+   * @param {number} startY - Starting row
+   * @param {number} width - Width of region
+   * @param {number} height - Height of region
+   * @returns {number[]} Universe coordinates as flat x, y pairs
+   */
+  getAliveCells(startX, startY, width, height) {
+    const cells = []
+    const half = 2 ** (this.root.level - 1)
+    this._forEachAlive(this.root, -half, -half, startX, startY, width, height, (x, y) => {
+      cells.push(x, y)
+    })
+    return cells
+  }
+
+  /**
+   * Copy a window of the universe into a GoLEngine (e.g. a pre-evolved explosion).
+   * The engine's cells are overwritten; its generation counter is left untouched.
+   *
+   * @param {GoLEngine} engine - Target engine
+   * @param {number} startX - Universe column mapped to engine column 0
+   * @param {number} startY - Universe row mapped to engine row 0
+   *
+   * @example
+   * const life = new HashLifeEngine()
+   * life.setPattern(Patterns.R_PENTOMINO, 0, 0)
+   * life.step(200)
+   * const box = life.getBoundingBox()
+   * const explosion = new GoLEngine(box.width, box.height, 30)
+   * life.copyToEngine(explosion, box.x, box.y)
+   */
+  copyToEngine(engine, startX = 0, startY = 0) {
+    const region = this.getRegion(startX, startY, engine.cols, engine.rows)
+    for (let x = 0; x < engine.cols; x++) {
+      for (let y = 0; y < engine.rows; y++) {
+        engine.setCell(x, y, region[x][y])
+      }
+    }
+  }
+
+  /**
+   * Count total alive cells in the universe. O(1).
+   *
+   * @returns {number} Number of alive cells
+   */
+  countAliveCells() {
+    return this.root.population
+  }
+
+  /**
+   * Get the tight bounding box of all live cells.
+   *
+   * @returns {Object|null} { x, y, width, height }, or null if the universe is empty
+   */
+  getBoundingBox() {
+    if (this.root.population === 0) {
+      return null
+    }
+
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+    const half = 2 ** (this.root.level - 1)
+    this._findBounds(this.root, -half, -half, bounds)
+
+    return {
+      x: bounds.minX,
+      y: bounds.minY,
+      width: bounds.maxX - bounds.minX + 1,
+      height: bounds.maxY - bounds.minY + 1
+    }
+  }
+
+  // ============================================
+  // EVOLUTION
+  // ============================================
+
+  /**
+   * Advance the universe by n generations.
+   * n is split into powers of two; each set bit is a single memoized jump,
+   * so step(2 ** k) costs one jump regardless of k.
+   *
+   * @param {number} n - Number of generations (non-negative integer, default: 1)
+   *
+   * @example
+   * life.step(1)         // Same as GoLEngine.update()
+   * life.step(2 ** 20)   // Jump a million generations
+   */
+  step(n = 1) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`[HashLife] step(n) needs a non-negative integer, got ${n}`)
+    }
+
+    let j = 0
+    while (n > 0) {
+      if (n % 2 === 1) {
+        this._advance(j)
+      }
+      n = Math.floor(n / 2)
+      j++
+    }
+  }
+
+  /**
+   * Advance one generation (GoLEngine API compatibility).
+   */
+  update() {
+    this.step(1)
+  }
+
+  /**
+   * Advance exactly 2^j generations with a single jump.
+   *
+   * @private
+   * @param {number} j - Log2 of the number of generations
+   */
+  _advance(j) {
+    // Root must be large enough for a 2^j jump and have an empty border
+    while (this.root.level < j + 2 || !this._isPadded(this.root)) {
+      this.root = this._expand(this.root)
+    }
+    // One more level: growth at light speed stays inside the result
+    this.root = this._successor(this._expand(this.root), j)
+    this.generation += 2 ** j
+
+    if (this._nodeCount > this.maxNodes) {
+      this._collectGarbage()
+    }
+  }
+
+  /**
+   * Result of a level-k node: its centre (level k-1) advanced 2^j generations.
+   *
+   * Full speed (j = k-2): two half-steps of 2^(k-3) on the 9 overlapping sub-nodes.
+   * Slower (j < k-2): the 9 sub-nodes are only re-centred, then stepped 2^j.
+   *
+   * @private
+   * @param {Object} node - Node of level k >= 2
+   * @param {number} j - Log2 of generations (clamped to k-2)
+   * @returns {Object} Node of level k-1
+   */
+  _successor(node, j) {
+    const k = node.level
+    if (node.population === 0) {
+      return this._emptyNode(k - 1)
+    }
+    if (k === 2) {
+      return this._baseStep(node)
+    }
+
+    j = Math.min(j, k - 2)
+    if (node.resultStep === j) {
+      return node.result
+    }
+
+    const full = j === k - 2
+    const { nw, ne, sw, se } = node
+
+    // 9 overlapping level k-1 nodes
+    const n00 = nw
+    const n01 = this._join(nw.ne, ne.nw, nw.se, ne.sw)
+    const n02 = ne
+    const n10 = this._join(nw.sw, nw.se, sw.nw, sw.ne)
+    const n11 = this._join(nw.se, ne.sw, sw.ne, se.nw)
+    const n12 = this._join(ne.sw, ne.se, se.nw, se.ne)
+    const n20 = sw
+    const n21 = this._join(sw.ne, se.nw, sw.se, se.sw)
+    const n22 = se
+
+    // First half: level k-2 nodes (advanced 2^(k-3) at full speed, else just centred)
+    const first = full
+      ? (n) => this._successor(n, j - 1)
+      : (n) => this._centre(n)
+    const c00 = first(n00)
+    const c01 = first(n01)
+    const c02 = first(n02)
+    const c10 = first(n10)
+    const c11 = first(n11)
+    const c12 = first(n12)
+    const c20 = first(n20)
+    const c21 = first(n21)
+    const c22 = first(n22)
+
+    // Second half: 4 level k-1 nodes, each advanced to a level k-2 result
+    const secondStep = full ? j - 1 : j
+    const result = this._join(
+      this._successor(this._join(c00, c01, c10, c11), secondStep),
+      this._successor(this._join(c01, c02, c11, c12), secondStep),
+      this._successor(this._join(c10, c11, c20, c21), secondStep),
+      this._successor(this._join(c11, c12, c21, c22), secondStep)
+    )
+
+    node.resultStep = j
+    node.result = result
+    return result
+  }
+
+  /**
+   * Brute-force one generation of a level 2 node (4×4 → centre 2×2).
+   *
+   * @private
+   * @param {Object} node - Level 2 node
+   * @returns {Object} Level 1 node
+   */
+  _baseStep(node) {
+    if (node.resultStep === 0) {
+      return node.result
+    }
+
+    // Pack the 4×4 cells into 16 bits (bit = y * 4 + x) and look up the 2×2 result
+    const { nw, ne, sw, se } = node
+    const bits =
+      nw.nw.population | (nw.ne.population << 1) | (ne.nw.population << 2) | (ne.ne.population << 3) |
+      (nw.sw.population << 4) | (nw.se.population << 5) | (ne.sw.population << 6) | (ne.se.population << 7) |
+      (sw.nw.population << 8) | (sw.ne.population << 9) | (se.nw.population << 10) | (se.ne.population << 11) |
+      (sw.sw.population << 12) | (sw.se.population << 13) | (se.sw.population << 14) | (se.se.population << 15)
+    const out = this._baseTable[bits]
+
+    const leaf = (bit) => (out >> bit) & 1 ? this._aliveLeaf : this._deadLeaf
+    const result = this._join(leaf(0), leaf(1), leaf(2), leaf(3))
+    node.resultStep = 0
+    node.result = result
+    return result
+  }
+
+  /**
+   * Precompute one generation for every 4×4 block under the current rule.
+   * Entry = 4 result bits (nw, ne, sw, se of the centre 2×2).
+   *
+   * @private
+   * @returns {Uint8Array} 65536-entry lookup table
+   */
+  _buildBaseTable() {
+    const table = new Uint8Array(65536)
+    const centre = [[1, 1], [2, 1], [1, 2], [2, 2]]
+
+    for (let bits = 0; bits < 65536; bits++) {
+      let out = 0
+      for (let c = 0; c < 4; c++) {
+        const [x, y] = centre[c]
+        let neighbors = 0
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx !== 0 || dy !== 0) {
+              neighbors += (bits >> ((y + dy) * 4 + x + dx)) & 1
+            }
+          }
+        }
+        const state = (bits >> (y * 4 + x)) & 1
+        out |= this._ruleTable[state * 9 + neighbors] << c
+      }
+      table[bits] = out
+    }
+
+    return table
+  }
+
+  // ============================================
+  // QUADTREE NODES
+  // ============================================
+
+  /**
+   * Get the canonical node for four children (hash-consing).
+   *
+   * @private
+   * @param {Object} nw - North-west child
+   * @param {Object} ne - North-east child
+   * @param {Object} sw - South-west child
+   * @param {Object} se - South-east child
+   * @returns {Object} Canonical parent node
+   */
+  _join(nw, ne, sw, se) {
+    // Numeric hash into a bucket chain (much faster than string keys)
+    const hash = (Math.imul(nw.id, 0x9E3779B1) ^ Math.imul(ne.id, 0x85EBCA77) ^
+      Math.imul(sw.id, 0xC2B2AE3D) ^ Math.imul(se.id, 0x27D4EB2F)) | 0
+
+    const head = this._table.get(hash)
+    for (let node = head; node; node = node.nextInBucket) {
+      if (node.nw === nw && node.ne === ne && node.sw === sw && node.se === se) {
+        return node
+      }
+    }
+
+    const node = {
+      level: nw.level + 1,
+      nw, ne, sw, se,
+      population: nw.population + ne.population + sw.population + se.population,
+      id: this._nextId++,
+      resultStep: -1,  // Log2 step of the memoized result (-1 = none)
+      result: null,
+      nextInBucket: head || null
+    }
+    this._table.set(hash, node)
+    this._nodeCount++
+    return node
+  }
+
+  /**
+   * Get the empty node of a level.
+   *
+   * @private
+   * @param {number} level - Node level
+   * @returns {Object} Empty node
+   */
+  _emptyNode(level) {
+    while (this._emptyNodes.length <= level) {
+      const e = this._emptyNodes[this._emptyNodes.length - 1]
+      this._emptyNodes.push(this._join(e, e, e, e))
+    }
+    return this._emptyNodes[level]
+  }
+
+  /**
+   * Centre sub-node (level k-1) of a level k node, without evolution.
+   *
+   * @private
+   * @param {Object} node - Node of level k >= 2
+   * @returns {Object} Level k-1 node
+   */
+  _centre(node) {
+    return this._join(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw)
+  }
+
+  /**
+   * Double the root size, keeping its contents centred.
+   *
+   * @private
+   * @param {Object} node - Root node
+   * @returns {Object} Node one level up
+   */
+  _expand(node) {
+    const e = this._emptyNode(node.level - 1)
+    return this._join(
+      this._join(e, e, e, node.nw),
+      this._join(e, e, node.ne, e),
+      this._join(e, node.sw, e, e),
+      this._join(node.se, e, e, e)
+    )
+  }
+
+  /**
+   * Check that all live cells sit in the central half of the node.
+   *
+   * @private
+   * @param {Object} node - Root node (level >= 2)
+   * @returns {boolean} True if the outer border is empty
+   */
+  _isPadded(node) {
+    return node.nw.population === node.nw.se.se.population &&
+      node.ne.population === node.ne.sw.sw.population &&
+      node.sw.population === node.sw.ne.ne.population &&
+      node.se.population === node.se.nw.nw.population
+  }
+
+  /**
+   * Check if a coordinate lies inside the root node.
+   *
+   * @private
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @returns {boolean} True if inside
+   */
+  _contains(x, y) {
+    const half = 2 ** (this.root.level - 1)
+    return x >= -half && x < half && y >= -half && y < half
+  }
+
+  /**
+   * Return a copy of node with one cell changed (coordinates relative to the node's corner).
+   *
+   * @private
+   * @param {Object} node - Node
+   * @param {number} x - Column inside node
+   * @param {number} y - Row inside node
+   * @param {number} state - ALIVE or DEAD
+   * @returns {Object} New canonical node
+   */
+  _setCell(node, x, y, state) {
+    if (node.level === 0) {
+      return state === ALIVE ? this._aliveLeaf : this._deadLeaf
+    }
+
+    const h = 2 ** (node.level - 1)
+    let { nw, ne, sw, se } = node
+    if (y < h) {
+      if (x < h) nw = this._setCell(nw, x, y, state)
+      else ne = this._setCell(ne, x - h, y, state)
+    } else {
+      if (x < h) sw = this._setCell(sw, x, y - h, state)
+      else se = this._setCell(se, x - h, y - h, state)
+    }
+    return this._join(nw, ne, sw, se)
+  }
+
+  /**
+   * Visit every live cell of node inside a window.
+   *
+   * @private
+   * @param {Object} node - Node
+   * @param {number} nodeX - Universe column of the node's corner
+   * @param {number} nodeY - Universe row of the node's corner
+   * @param {number} startX - Window column
+   * @param {number} startY - Window row
+   * @param {number} width - Window width
+   * @param {number} height - Window height
+   * @param {Function} visit - Called with (x, y) for each live cell
+   */
+  _forEachAlive(node, nodeX, nodeY, startX, startY, width, height, visit) {
+    if (node.population === 0) return
+
+    const size = 2 ** node.level
+    if (nodeX >= startX + width || nodeY >= startY + height ||
+        nodeX + size <= startX || nodeY + size <= startY) {
+      return
+    }
+
+    if (node.level === 0) {
+      visit(nodeX, nodeY)
+      return
+    }
+
+    const h = size / 2
+    this._forEachAlive(node.nw, nodeX, nodeY, startX, startY, width, height, visit)
+    this._forEachAlive(node.ne, nodeX + h, nodeY, startX, startY, width, height, visit)
+    this._forEachAlive(node.sw, nodeX, nodeY + h, startX, startY, width, height, visit)
+    this._forEachAlive(node.se, nodeX + h, nodeY + h, startX, startY, width, height, visit)
+  }
+
+  /**
+   * Grow bounds to cover every live cell of node.
+   *
+   * @private
+   * @param {Object} node - Node
+   * @param {number} nodeX - Universe column of the node's corner
+   * @param {number} nodeY - Universe row of the node's corner
+   * @param {Object} bounds - { minX, minY, maxX, maxY } (mutated)
+   */
+  _findBounds(node, nodeX, nodeY, bounds) {
+    if (node.population === 0) return
+
+    const size = 2 ** node.level
+
+    // Skip nodes that cannot extend the current bounds
+    if (nodeX >= bounds.minX && nodeY >= bounds.minY &&
+        nodeX + size - 1 <= bounds.maxX && nodeY + size - 1 <= bounds.maxY) {
+      return
+    }
+
+    if (node.level === 0) {
+      bounds.minX = Math.min(bounds.minX, nodeX)
+      bounds.minY = Math.min(bounds.minY, nodeY)
+      bounds.maxX = Math.max(bounds.maxX, nodeX)
+      bounds.maxY = Math.max(bounds.maxY, nodeY)
+      return
+    }
+
+    const h = size / 2
+    this._findBounds(node.nw, nodeX, nodeY, bounds)
+    this._findBounds(node.ne, nodeX + h, nodeY, bounds)
+    this._findBounds(node.sw, nodeX, nodeY + h, bounds)
+    this._findBounds(node.se, nodeX + h, nodeY + h, bounds)
+  }
+
+  /**
+   * Drop all memoized results and rebuild the node table from the root.
+   * Nodes only reachable through old results become collectable.
+   *
+   * @private
+   */
+  _collectGarbage() {
+    this._table.clear()
+    this._nodeCount = 0
+    this._emptyNodes = [this._deadLeaf]
+
+    const copies = new Map()
+    const rebuild = (node) => {
+      if (node.level === 0) return node
+      let copy = copies.get(node)
+      if (!copy) {
+        copy = this._join(rebuild(node.nw), rebuild(node.ne), rebuild(node.sw), rebuild(node.se))
+        copies.set(node, copy)
+      }
+      return copy
+    }
+
+    this.root = rebuild(this.root)
+  }
+}
+
+export { HashLifeEngine }
@@ -0,0 +1,276 @@
+/**
+ * Shape masks for MaskedGoL.
+ *
+ * A mask decides which cells of a grid a GoL entity may occupy. MaskedGoL
+ * periodically kills cells outside the mask, so the entity keeps a
+ * recognisable silhouette (circle, ring, polygon, sprite outline...) while
+ * the pattern inside evolves freely.
+ *
+ * MASK SOURCES:
+ * - circleMask / ellipseMask / ringMask: analytic shapes
+ * - polygonMask: closed polygon in normalized coordinates
+ * - bitmapMask: 2D array of 0/1 or a Pattern (same format as Patterns)
+ * - imageMask: alpha channel of a p5.Image or ImageData (e.g. a dino sprite)
+ * - customMask: any (x, y, cols, rows) => boolean function
+ *
+ * Masks are resolution independent: they are rasterized for the grid they
+ * are applied to, so one mask fits engines of any size. Shapes are sampled
+ * at cell centers; bitmaps and images are scaled to the grid (nearest pixel).
+ *
+ * SOFT MASKS: rasterizeMask() turns a mask into a kill probability per cell.
+ * With softness 0 every outside cell dies; with softness s the probability
+ * rises with distance from the shape (1/s for adjacent cells, 1 from s cells away).
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { patternCells } from './Patterns.js'
+
+/**
+ * Kind of mask source (mask.shape).
+ */
+export const MaskShape = {
+  ELLIPSE: 'ellipse',
+  RING: 'ring',
+  POLYGON: 'polygon',
+  BITMAP: 'bitmap',
+  IMAGE: 'image',
+  CUSTOM: 'custom'
+}
+
+/**
+ * Circular mask centered in the grid.
+ *
+ * @param {number} [radiusFactor=0.8] - Radius as a fraction of half the smaller grid side
+ * @returns {Object} Mask { shape, contains(x, y, cols, rows) }
+ *
+ * @example
+ * const gol = new MaskedGoL(12, 12, 10, circleMask(0.9))
+ */
+export function circleMask(radiusFactor = 0.8) {
+  return ringMask(radiusFactor, 0)
+}
+
+/**
+ * Elliptical mask.
+ *
+ * @param {number} [radiusX=0.4] - Horizontal radius as a fraction of grid width
+ * @param {number} [radiusY=0.4] - Vertical radius as a fraction of grid height
+ * @param {number} [centerX=0.5] - Center x as a fraction of grid width
+ * @param {number} [centerY=0.5] - Center y as a fraction of grid height
+ * @returns {Object} Mask { shape, contains(x, y, cols, rows) }
+ *
+ * @example
+ * ellipseMask(0.5, 0.3)  // Wide, flat blob touching the left and right edges
+ */
+export function ellipseMask(radiusX = 0.4, radiusY = 0.4, centerX = 0.5, centerY = 0.5) {
+  return {
+    shape: MaskShape.ELLIPSE,
+    contains(x, y, cols, rows) {
+      const dx = ((x + 0.5) / cols - centerX) / radiusX
+      const dy = ((y + 0.5) / rows - centerY) / radiusY
+      return dx * dx + dy * dy <= 1
+    }
+  }
+}
+
+/**
+ * Ring (annulus) mask centered in the grid.
+ *
+ * @param {number} [outerFactor=0.8] - Outer radius as a fraction of half the smaller grid side
+ * @param {number} [innerFactor=0.4] - Inner radius (hole) as a fraction of half the smaller grid side
+ * @returns {Object} Mask { shape, contains(x, y, cols, rows) }
+ *
+ * @example
+ * const portal = new MaskedGoL(20, 20, 10, ringMask(0.9, 0.5), { maskInterval: 3 })
+ */
+export function ringMask(outerFactor = 0.8, innerFactor = 0.4) {
+  return {
+    shape: MaskShape.RING,
+    contains(x, y, cols, rows) {
+      const halfSide = Math.min(cols, rows) / 2
+      const distance = Math.hypot(x + 0.5 - cols / 2, y + 0.5 - rows / 2)
+      return distance <= halfSide * outerFactor && distance >= halfSide * innerFactor
+    }
+  }
+}
+
+/**
+ * Polygon mask (even-odd fill, so self-intersecting outlines leave holes).
+ *
+ * @param {number[][]} points - Vertices [[x, y], ...] as fractions of grid width/height
+ * @returns {Object} Mask { shape, contains(x, y, cols, rows) }
+ * @throws {Error} If fewer than 3 points are given
+ *
+ * @example
+ * polygonMask([[0.5, 0], [1, 1], [0, 1]])  // Triangle pointing up
+ */
+export function polygonMask(points) {
+  if (!Array.isArray(points) || points.length < 3) {
+    throw new Error('[Masks] A polygon mask needs at least 3 points')
+  }
+
+  return {
+    shape: MaskShape.POLYGON,
+    contains(x, y, cols, rows) {
+      const u = (x + 0.5) / cols
+      const v = (y + 0.5) / rows
+      let inside = false
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i]
+        const [xj, yj] = points[j]
+        if ((yi > v) !== (yj > v) && u < (xj - xi) * (v - yi) / (yj - yi) + xi) {
+          inside = !inside
+        }
+      }
+      return inside
+    }
+  }
+}
+
+/**
+ * Bitmap mask, scaled to the grid.
+ *
+ * @param {number[][]|Pattern} source - 2D array [row][col], truthy = inside (same format as Patterns), or a Pattern
+ * @returns {Object} Mask { shape, contains(x, y, cols, rows) }
+ * @throws {Error} If the bitmap is empty
+ *
+ * @example
+ * bitmapMask(Patterns.PULSAR)  // Pulsar-shaped silhouette
+ */
+export function bitmapMask(source) {
+  const bitmap = source ? patternCells(source) : source
+  if (!Array.isArray(bitmap) || bitmap.length === 0 || !bitmap[0] || bitmap[0].length === 0) {
+    throw new Error('[Masks] A bitmap mask needs a non-empty 2D array')
+  }
+
+  const height = bitmap.length
+  const width = bitmap[0].length
+  return {
+    shape: MaskShape.BITMAP,
+    contains(x, y, cols, rows) {
+      const row = bitmap[Math.floor((y + 0.5) * height / rows)]
+      return Boolean(row && row[Math.floor((x + 0.5) * width / cols)])
+    }
+  }
+}
+
+/**
+ * Mask from an image's alpha channel, scaled to the grid.
+ * Load the image first (p5 preload()); pixels are read once, here.
+ *
+ * @param {Object} image - p5.Image (loadPixels()/pixels) or ImageData ({ width, height, data })
+ * @param {number} [threshold=128] - Minimum alpha (0-255) counted as inside
+ * @returns {Object} Mask { shape, contains(x, y, cols, rows) }
+ * @throws {Error} If the image has no pixel data
+ *
+ * @example
+ * let dinoImage
+ * function preload() { dinoImage = loadImage('assets/dino-sprites/run_0.png') }
+ * function setup() {
+ *   player.gol = new MaskedGoL(24, 24, 12, imageMask(dinoImage))
+ * }
+ */
+export function imageMask(image, threshold = 128) {
+  if (image && typeof image.loadPixels === 'function') {
+    image.loadPixels()
+  }
+  const data = image && (image.data || image.pixels)
+  if (!data || !image.width || !image.height) {
+    throw new Error('[Masks] Image mask needs a loaded p5.Image or ImageData')
+  }
+
+  // p5 may store pixels at a higher density than width × height
+  const density = Math.sqrt(data.length / (image.width * image.height * 4)) || 1
+  const pixelWidth = Math.round(image.width * density)
+  const pixelHeight = Math.round(image.height * density)
+  return {
+    shape: MaskShape.IMAGE,
+    contains(x, y, cols, rows) {
+      const px = Math.floor((x + 0.5) * pixelWidth / cols)
+      const py = Math.floor((y + 0.5) * pixelHeight / rows)
+      return data[(py * pixelWidth + px) * 4 + 3] >= threshold
+    }
+  }
+}
+
+/**
+ * Mask from a predicate.
+ *
+ * @param {Function} contains - (x, y, cols, rows) => boolean, true if cell (x, y) is inside
+ * @returns {Object} Mask { shape, contains(x, y, cols, rows) }
+ *
+ * @example
+ * customMask((x, y, cols) => x < cols / 2)  // Left half only
+ */
+export function customMask(contains) {
+  if (typeof contains !== 'function') {
+    throw new Error('[Masks] A custom mask needs a (x, y, cols, rows) => boolean function')
+  }
+  return { shape: MaskShape.CUSTOM, contains }
+}
+
+/**
+ * Rasterize a mask into per-cell kill probabilities for a grid.
+ *
+ * Distance from the shape is measured in cells (chamfer approximation of
+ * Euclidean distance), so soft edges are equally wide for every mask source.
+ *
+ * @param {Object} mask - Mask from one of the factories above
+ * @param {number} cols - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {number} [softness=0] - Width of the soft edge in cells (0 = hard mask)
+ * @returns {Float32Array} Kill probability per cell (0 inside, up to 1), index x * rows + y
+ *
+ * @example
+ * const chances = rasterizeMask(ringMask(), 16, 16, 2)
+ * chances[0]  // 1 (corner is far outside the ring)
+ */
+export function rasterizeMask(mask, cols, rows, softness = 0) {
+  const size = cols * rows
+  const distance = new Float32Array(size).fill(Infinity)
+
+  for (let x = 0; x < cols; x++) {
+    for (let y = 0; y < rows; y++) {
+      if (mask.contains(x, y, cols, rows)) {
+        distance[x * rows + y] = 0
+      }
+    }
+  }
+
+  // Two-pass chamfer distance transform (orthogonal step 1, diagonal step √2)
+  const diagonal = Math.SQRT2
+  const relax = (i, x, y, cost) => {
+    if (x >= 0 && x < cols && y >= 0 && y < rows) {
+      const candidate = distance[x * rows + y] + cost
+      if (candidate < distance[i]) distance[i] = candidate
+    }
+  }
+  for (let x = 0; x < cols; x++) {
+    for (let y = 0; y < rows; y++) {
+      const i = x * rows + y
+      relax(i, x - 1, y - 1, diagonal)
+      relax(i, x - 1, y, 1)
+      relax(i, x - 1, y + 1, diagonal)
+      relax(i, x, y - 1, 1)
+    }
+  }
+  for (let x = cols - 1; x >= 0; x--) {
+    for (let y = rows - 1; y >= 0; y--) {
+      const i = x * rows + y
+      relax(i, x + 1, y + 1, diagonal)
+      relax(i, x + 1, y, 1)
+      relax(i, x + 1, y - 1, diagonal)
+      relax(i, x, y + 1, 1)
+    }
+  }
+
+  const chances = new Float32Array(size)
+  for (let i = 0; i < size; i++) {
+    if (distance[i] > 0) {
+      chances[i] = softness > 0 ? Math.min(1, distance[i] / softness) : 1
+    }
+  }
+  return chances
+}
@@ -13,17 +13,18 @@
  * USAGE: Call this every frame for explosion particles
  *
  * @param {Array} particles - Array of particle objects
- * @param {number} frameCount - Current frame count from state
+ * @param {number} frameCountOrDeltaMs - Passed to each engine's updateThrottled(): p5.js deltaTime
+ *   for engines created with { clock: Clock.TIME }, frame count for frame-clocked engines
  * @param {number} loopUpdateRate - Frames between loop phase changes (from CONFIG.loopUpdateRate)
  * @returns {Array} Filtered array (dead particles removed)
  *
  * @example
- * // In your updateGame() function:
- * particles = updateParticles(particles, state.frameCount, CONFIG.loopUpdateRate)
+ * // In your updateGame() function (particle engines created with { clock: Clock.TIME }):
+ * particles = updateParticles(particles, deltaTime, CONFIG.loopUpdateRate)
  */
-export function updateParticles(particles, frameCount, loopUpdateRate = 30) {
+export function updateParticles(particles, frameCountOrDeltaMs, loopUpdateRate = 30) {
   particles.forEach(p => {
-    p.gol.updateThrottled(frameCount)
+    p.gol.updateThrottled(frameCountOrDeltaMs)
 
     // Handle loop pattern resets for Pure GoL patterns
     // Explosions are Tier 1 (Pure GoL) and may use loop patterns
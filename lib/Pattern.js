@@ -0,0 +1,360 @@
+/**
+ * Pattern value type: cells plus the metadata that travels with them.
+ *
+ * Raw pattern arrays (see Patterns.js) carry no width, origin or rule, and
+ * helpers disagree about their orientation. A Pattern always stores its
+ * cells row-major (cells[row][col], like Patterns and setPattern()), knows
+ * its size, where cells[0][0] sits (originX/originY, e.g. from a Life 1.06
+ * file) and which rule it was written for.
+ *
+ * Patterns are immutable: rotate(), flipX(), flipY(), trim() and pad()
+ * return new Patterns. Every consumer that takes a raw array (setPattern(),
+ * stampPattern(), bitmapMask(), toRLE()...) also takes a Pattern.
+ *
+ * SYMMETRY: the 8 orientations of a pattern (4 rotations, each optionally
+ * mirrored) are the same object in Life. canonicalize() picks one
+ * representative, so equalsUpToSymmetry() recognises a glider however it
+ * was rotated or flipped.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { parsePattern, toRLE } from './Patterns.js'
+
+/**
+ * Immutable 2D pattern with size, origin and rule.
+ *
+ * @example
+ * const glider = new Pattern(Patterns.GLIDER, { name: 'Glider' })
+ * gol.setPattern(glider.rotate(2), 4, 4)   // Heading up-left
+ *
+ * @example
+ * const loaded = Pattern.from(rleText)     // Any PatternFormat
+ * loaded.equalsUpToSymmetry(glider)        // true for any glider orientation
+ */
+class Pattern {
+  /**
+   * Create a pattern. Cells are copied; short rows are padded with dead cells.
+   *
+   * @param {number[][]} cells - Row-major cells (cells[row][col]), 0 = dead
+   * @param {Object} [options] - Metadata
+   * @param {number} [options.originX=0] - x coordinate of cells[0][0]
+   * @param {number} [options.originY=0] - y coordinate of cells[0][0]
+   * @param {string|null} [options.rule=null] - Rulestring the pattern is meant for (e.g. 'B3/S23')
+   * @param {string|null} [options.name=null] - Display name
+   * @throws {Error} If cells is not a 2D array
+   */
+  constructor(cells, options = {}) {
+    if (!Array.isArray(cells) || !cells.every(row => Array.isArray(row) || ArrayBuffer.isView(row))) {
+      throw new Error('[Pattern] Cells must be a 2D array (row-major)')
+    }
+
+    const width = cells.reduce((max, row) => Math.max(max, row.length), 0)
+    this.cells = cells.map(row => {
+      const copy = new Array(width).fill(0)
+      for (let col = 0; col < row.length; col++) {
+        copy[col] = row[col] || 0
+      }
+      return Object.freeze(copy)
+    })
+    Object.freeze(this.cells)
+
+    this.width = width
+    this.height = cells.length
+    this.originX = options.originX || 0
+    this.originY = options.originY || 0
+    this.rule = options.rule || null
+    this.name = options.name || null
+    Object.freeze(this)
+  }
+
+  /**
+   * Get a Pattern from any pattern source.
+   *
+   * @param {Pattern|number[][]|string} source - Pattern, row-major array, or pattern text (any PatternFormat)
+   * @param {Object} [options] - Metadata overrides (see constructor)
+   * @returns {Pattern} The source itself if it is already a Pattern and no overrides are given
+   * @throws {Error} If the source is not a pattern
+   *
+   * @example
+   * Pattern.from('#Life 1.06\n0 -1\n1 0\n-1 1\n0 1\n1 1').originX  // -1
+   */
+  static from(source, options = {}) {
+    if (source instanceof Pattern) {
+      return Object.keys(options).length === 0 ? source : source._with(source.cells, options)
+    }
+    if (Array.isArray(source)) {
+      return new Pattern(source, options)
+    }
+    if (typeof source === 'string') {
+      const parsed = parsePattern(source)
+      return new Pattern(parsed.pattern, {
+        originX: parsed.originX,
+        originY: parsed.originY,
+        rule: parsed.rule,
+        name: parsed.name,
+        ...options
+      })
+    }
+    throw new Error('[Pattern] Source must be a Pattern, a 2D array or pattern text')
+  }
+
+  /**
+   * Get a cell. Outside the pattern everything is dead.
+   *
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @returns {number} Cell value (0 = dead)
+   */
+  get(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return 0
+    return this.cells[y][x]
+  }
+
+  /**
+   * Number of non-dead cells.
+   *
+   * @returns {number} Population
+   */
+  get population() {
+    let count = 0
+    for (const row of this.cells) {
+      for (const value of row) {
+        if (value) count++
+      }
+    }
+    return count
+  }
+
+  /**
+   * Check whether the pattern has no non-dead cells.
+   *
+   * @returns {boolean} True if empty
+   */
+  isEmpty() {
+    return this.cells.every(row => row.every(value => !value))
+  }
+
+  /**
+   * Mutable copy of the cells.
+   *
+   * @returns {number[][]} Row-major array (same format as Patterns)
+   */
+  toArray() {
+    return this.cells.map(row => [...row])
+  }
+
+  /**
+   * Rotate clockwise. The origin (top-left corner) stays where it is.
+   *
+   * @param {number} [quarterTurns=1] - Clockwise quarter turns (negative = counter-clockwise)
+   * @returns {Pattern} Rotated pattern
+   */
+  rotate(quarterTurns = 1) {
+    const turns = ((quarterTurns % 4) + 4) % 4
+    let cells = this.cells
+    for (let t = 0; t < turns; t++) {
+      const height = cells.length
+      const width = height > 0 ? cells[0].length : 0
+      const rotated = []
+      for (let y = 0; y < width; y++) {
+        rotated[y] = []
+        for (let x = 0; x < height; x++) {
+          rotated[y][x] = cells[height - 1 - x][y]
+        }
+      }
+      cells = rotated
+    }
+    return this._with(cells)
+  }
+
+  /**
+   * Mirror left-right.
+   *
+   * @returns {Pattern} Flipped pattern
+   */
+  flipX() {
+    return this._with(this.cells.map(row => [...row].reverse()))
+  }
+
+  /**
+   * Mirror top-bottom.
+   *
+   * @returns {Pattern} Flipped pattern
+   */
+  flipY() {
+    return this._with([...this.cells].reverse())
+  }
+
+  /**
+   * Crop to the bounding box of non-dead cells. The origin moves with the
+   * crop, so cells keep their coordinates. An empty pattern trims to 0×0.
+   *
+   * @returns {Pattern} Trimmed pattern
+   */
+  trim() {
+    let minX = this.width
+    let minY = this.height
+    let maxX = -1
+    let maxY = -1
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (this.cells[y][x]) {
+          minX = Math.min(minX, x)
+          maxX = Math.max(maxX, x)
+          minY = Math.min(minY, y)
+          maxY = Math.max(maxY, y)
+        }
+      }
+    }
+
+    if (maxX < 0) {
+      return this._with([], { originX: this.originX, originY: this.originY })
+    }
+    const cells = this.cells.slice(minY, maxY + 1).map(row => row.slice(minX, maxX + 1))
+    return this._with(cells, { originX: this.originX + minX, originY: this.originY + minY })
+  }
+
+  /**
+   * Add dead cells around the pattern. The origin moves with the padding,
+   * so cells keep their coordinates.
+   *
+   * @param {number} top - Rows above
+   * @param {number} [right=top] - Columns to the right
+   * @param {number} [bottom=top] - Rows below
+   * @param {number} [left=right] - Columns to the left
+   * @returns {Pattern} Padded pattern
+   * @throws {Error} If a side is negative or not an integer
+   *
+   * @example
+   * glider.pad(1)           // 5×5, one dead cell on every side
+   * glider.pad(0, 4, 0, 0)  // Room to fly right
+   */
+  pad(top, right = top, bottom = top, left = right) {
+    for (const side of [top, right, bottom, left]) {
+      if (!Number.isInteger(side) || side < 0) {
+        throw new Error(`[Pattern] Invalid padding: ${side}. Must be a non-negative integer`)
+      }
+    }
+
+    const width = left + this.width + right
+    const blank = () => new Array(width).fill(0)
+    const cells = []
+    for (let y = 0; y < top; y++) cells.push(blank())
+    for (const row of this.cells) {
+      cells.push([...new Array(left).fill(0), ...row, ...new Array(right).fill(0)])
+    }
+    for (let y = 0; y < bottom; y++) cells.push(blank())
+    return this._with(cells, { originX: this.originX - left, originY: this.originY - top })
+  }
+
+  /**
+   * All 8 orientations (4 rotations of the pattern and of its mirror image),
+   * duplicates included for symmetric patterns.
+   *
+   * @returns {Pattern[]} Orientations, the pattern itself first
+   */
+  orientations() {
+    const result = []
+    for (const base of [this, this.flipX()]) {
+      for (let turns = 0; turns < 4; turns++) {
+        result.push(base.rotate(turns))
+      }
+    }
+    return result
+  }
+
+  /**
+   * Canonical form: the trimmed orientation with the smallest cell key, at
+   * origin (0, 0). Two patterns have the same canonical form exactly when
+   * they are the same object up to rotation, reflection and translation.
+   *
+   * @returns {Pattern} Canonical pattern (rule and name kept)
+   *
+   * @example
+   * glider.rotate(1).canonicalize().equals(glider.canonicalize())  // true
+   */
+  canonicalize() {
+    let best = null
+    let bestKey = null
+    for (const orientation of this.trim().orientations()) {
+      const key = orientation._key()
+      if (bestKey === null || key < bestKey) {
+        best = orientation
+        bestKey = key
+      }
+    }
+    return best._with(best.cells, { originX: 0, originY: 0 })
+  }
+
+  /**
+   * Same size and cells (origin, rule and name are ignored).
+   *
+   * @param {Pattern|number[][]} other - Pattern or row-major array
+   * @returns {boolean} True if equal
+   */
+  equals(other) {
+    const pattern = Pattern.from(other)
+    return pattern.width === this.width && pattern.height === this.height && pattern._key() === this._key()
+  }
+
+  /**
+   * Same cells up to rotation, reflection and translation (see canonicalize()).
+   *
+   * @param {Pattern|number[][]} other - Pattern or row-major array
+   * @returns {boolean} True if one is an orientation of the other
+   *
+   * @example
+   * const lwss = new Pattern(Patterns.LIGHTWEIGHT_SPACESHIP)
+   * lwss.equalsUpToSymmetry(lwss.flipX().rotate(1))  // true
+   */
+  equalsUpToSymmetry(other) {
+    return this.canonicalize()._key() === Pattern.from(other).canonicalize()._key()
+  }
+
+  /**
+   * Encode as RLE (see Patterns.toRLE()). The header uses this pattern's
+   * rule and name unless options override them.
+   *
+   * @param {Object} [options] - Header options (rule, name, author, comments)
+   * @returns {string} RLE text
+   */
+  toRLE(options = {}) {
+    return toRLE(this.cells, {
+      rule: this.rule || undefined,
+      name: this.name || undefined,
+      ...options
+    })
+  }
+
+  /**
+   * New pattern with other cells and the same metadata.
+   *
+   * @private
+   * @param {number[][]} cells - Row-major cells
+   * @param {Object} [overrides] - Metadata overrides
+   * @returns {Pattern} New pattern
+   */
+  _with(cells, overrides = {}) {
+    return new Pattern(cells, {
+      originX: this.originX,
+      originY: this.originY,
+      rule: this.rule,
+      name: this.name,
+      ...overrides
+    })
+  }
+
+  /**
+   * Comparable key of the cells (size plus values).
+   *
+   * @private
+   * @returns {string} Key
+   */
+  _key() {
+    return `${this.width}x${this.height}:${this.cells.map(row => row.join(',')).join(';')}`
+  }
+}
+
+export { Pattern }
@@ -0,0 +1,403 @@
+/**
+ * Automatic pattern classification by simulation.
+ *
+ * Runs a pattern on an unbounded plane (HashLifeEngine) and derives what
+ * the catalogue tables used to state by hand: period, displacement per
+ * period (speed), category, and the population and bounding box once it
+ * has settled.
+ *
+ * OPTIONAL MODULE: PatternRenderer's catalogue tables are generated with it
+ * offline (scripts/generate-pattern-tables.mjs); at runtime it is only
+ * needed to classify pasted patterns (see setPatternClassifier()).
+ *
+ * HOW IT DECIDES:
+ * 1. Exact cycle: the pattern reappears (possibly shifted) within
+ *    maxPeriod generations → still life, oscillator or spaceship
+ * 2. Otherwise it runs until the population becomes periodic, i.e.
+ *    pop(t + p) - pop(t) is the same for every t over the last cycles:
+ *    - Population reaches 0 → dies-out
+ *    - Constant per cycle, after at least methuselahAge generations →
+ *      methuselah (settled into still lifes, oscillators and escaping
+ *      spaceships); sooner → classified by the state it settled into
+ *    - Growing per cycle → puffer (a window at the moving front repeats,
+ *      shifted) or gun (the pattern's own area repeats in place)
+ * 3. Nothing found within maxGenerations → category null
+ *
+ * Eaters are still lifes defined by what they do to incoming spaceships,
+ * so they are classified as still lifes.
+ *
+ * LIMITATIONS:
+ * - Life-like rules only, like HashLifeEngine (no Generations, colour or
+ *   Larger-than-Life rules)
+ * - Methuselahs are slow to classify: the ash period is read once escaping
+ *   spaceships have left the settling area (ACORN takes several seconds)
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { Rules } from './GoLEngine.js'
+import { HashLifeEngine } from './HashLife.js'
+import { Pattern } from './Pattern.js'
+import { PatternCategory } from './Patterns.js'
+
+// The population must repeat for this many generations (and cycles) before it counts as settled
+const SETTLE_GENERATIONS = 100
+const SETTLE_CYCLES = 4
+
+/**
+ * Check whether classifyPattern() can simulate a rule.
+ *
+ * @param {string} [rule='B3/S23'] - Rulestring
+ * @returns {boolean} True for life-like rules (see HashLifeEngine.supportsRule())
+ * @throws {Error} If the rulestring is malformed
+ *
+ * @example
+ * isClassifiableRule('B36/S23')  // true
+ * isClassifiableRule('B2/S/C3')  // false (Generations)
+ */
+export function isClassifiableRule(rule = Rules.CONWAY) {
+  return HashLifeEngine.supportsRule(rule)
+}
+
+/**
+ * Classify a pattern by simulating it.
+ *
+ * @param {Pattern|number[][]|string} pattern - Pattern, row-major array or pattern text
+ * @param {Object} [options] - Classification options
+ * @param {string} [options.rule] - Life-like rulestring (default: the Pattern's rule, else B3/S23)
+ * @param {number} [options.maxPeriod=64] - Longest period looked for
+ * @param {number} [options.maxGenerations=10000] - Generations simulated before giving up
+ * @param {number} [options.methuselahAge=50] - Minimum settling time of a methuselah
+ * @returns {Object} Classification
+ *   {
+ *     category: string|null,     // PatternCategory value, null if undetermined
+ *     period: number|null,       // Generations per cycle (1 for still lifes)
+ *     dx: number,                // Displacement per period (cells, +x right)
+ *     dy: number,                // Displacement per period (cells, +y down)
+ *     speed: string|null,        // e.g. 'c/4 diagonal' (see formatSpeed()), null if not moving
+ *     settledAt: number|null,    // Generation the cycle starts (0 for still lifes, oscillators, spaceships)
+ *     population: number,        // Cells alive at settledAt (at the last generation if undetermined)
+ *     boundingBox: Object|null   // { x, y, width, height } at settledAt, in the pattern's coordinates
+ *   }
+ * @throws {Error} If the rule is not life-like (check with isClassifiableRule())
+ *
+ * @example
+ * classifyPattern(Patterns.GLIDER)
+ * // { category: 'spaceship', period: 4, dx: 1, dy: 1, speed: 'c/4 diagonal', settledAt: 0, ... }
+ *
+ * @example
+ * classifyPattern(Patterns.R_PENTOMINO).category  // 'methuselah'
+ */
+export function classifyPattern(pattern, options = {}) {
+  const start = Pattern.from(pattern).trim()
+  const rule = options.rule || start.rule || Rules.CONWAY
+  const maxPeriod = options.maxPeriod || 64
+  const maxGenerations = options.maxGenerations || 10000
+  const methuselahAge = options.methuselahAge !== undefined ? options.methuselahAge : 50
+
+  const startBox = { x: start.originX, y: start.originY, width: start.width, height: start.height }
+  if (start.isEmpty()) {
+    return result(PatternCategory.DIES_OUT, null, 0, 0, 0, 0, null)
+  }
+
+  // 1. Exact cycle from generation 0
+  const cycle = findCycle(createLife(start, rule), maxPeriod)
+  if (cycle) {
+    return result(cycleCategory(cycle), cycle.period, cycle.dx, cycle.dy, 0, start.population, startBox)
+  }
+
+  // 2. Run until the population is periodic
+  const life = createLife(start, rule)
+  const populations = [start.population]
+  let regular = null
+  for (let t = 1; t <= maxGenerations && !regular; t++) {
+    life.step(1)
+    populations.push(life.countAliveCells())
+    if (populations[t] === 0) {
+      return result(PatternCategory.DIES_OUT, null, 0, 0, t, 0, null)
+    }
+    regular = findRegularGrowth(populations, maxPeriod)
+  }
+
+  if (!regular) {
+    return result(null, null, 0, 0, null, life.countAliveCells(), life.getBoundingBox())
+  }
+
+  const { period, growth, settledAt } = regular
+  const settled = createLife(start, rule)
+  settled.step(settledAt)
+  const population = settled.countAliveCells()
+  const boundingBox = settled.getBoundingBox()
+
+  if (growth === 0) {
+    if (settledAt < methuselahAge) {
+      // Quick settlers (e.g. a pre-block) are what they settle into
+      const settledCycle = findCycle(settled, maxPeriod)
+      return settledCycle
+        ? result(cycleCategory(settledCycle), settledCycle.period, settledCycle.dx, settledCycle.dy, settledAt, population, boundingBox)
+        : result(null, period, 0, 0, settledAt, population, boundingBox)
+    }
+
+    // Once escaping spaceships have left the settling area, what remains there repeats with the ash period
+    const ashPeriod = findRegionPeriod(life, boundingBox, maxPeriod) || period
+    return result(PatternCategory.METHUSELAH, ashPeriod, 0, 0, settledAt, population, boundingBox)
+  }
+
+  // Growing: puffer (its front moves on, repeating) or gun (its own area repeats in place)
+  const before = life.getBoundingBox()
+  life.step(period)
+  const after = life.getBoundingBox()
+  const dx = edgeShift(before.x, before.x + before.width, after.x, after.x + after.width)
+  const dy = edgeShift(before.y, before.y + before.height, after.y, after.y + after.height)
+
+  const moving = !Number.isNaN(dx) && !Number.isNaN(dy) && (dx !== 0 || dy !== 0)
+  const front = moving ? frontWindow(after, startBox, dx, dy) : null
+  const frontKey = front ? regionKey(life, front) : null
+  const ownKey = regionKey(life, startBox)
+  life.step(period)
+
+  if (front && regionKey(life, { ...front, x: front.x + dx, y: front.y + dy }) === frontKey) {
+    return result(PatternCategory.PUFFER, period, dx, dy, settledAt, population, boundingBox)
+  }
+  if (regionKey(life, startBox) === ownKey) {
+    return result(PatternCategory.GUN, period, 0, 0, settledAt, population, boundingBox)
+  }
+  return result(null, period, 0, 0, settledAt, population, boundingBox)
+}
+
+/**
+ * Describe a speed the way LifeWiki does.
+ *
+ * @param {number} dx - Displacement per period (cells)
+ * @param {number} dy - Displacement per period (cells)
+ * @param {number} period - Generations per period
+ * @returns {string|null} e.g. 'c/4 diagonal', 'c/2 orthogonal', '2c/5 orthogonal',
+ *   '(2,1)c/6 oblique'; null if not moving
+ *
+ * @example
+ * formatSpeed(1, 1, 4)   // 'c/4 diagonal' (glider)
+ * formatSpeed(2, 0, 4)   // 'c/2 orthogonal' (LWSS)
+ */
+export function formatSpeed(dx, dy, period) {
+  const ax = Math.abs(dx)
+  const ay = Math.abs(dy)
+  if (ax === 0 && ay === 0) return null
+
+  if (ax !== 0 && ay !== 0 && ax !== ay) {
+    return `(${Math.max(ax, ay)},${Math.min(ax, ay)})c/${period} oblique`
+  }
+
+  const distance = Math.max(ax, ay)
+  const divisor = gcd(distance, period)
+  const numerator = distance / divisor
+  const denominator = period / divisor
+  const ratio = `${numerator === 1 ? '' : numerator}c${denominator === 1 ? '' : `/${denominator}`}`
+  return `${ratio} ${ax === 0 || ay === 0 ? 'orthogonal' : 'diagonal'}`
+}
+
+/**
+ * Build a classification result.
+ *
+ * @private
+ * @param {string|null} category - PatternCategory value
+ * @param {number|null} period - Generations per cycle
+ * @param {number} dx - Displacement per period
+ * @param {number} dy - Displacement per period
+ * @param {number|null} settledAt - Generation the cycle starts
+ * @param {number} population - Cells alive at settledAt
+ * @param {Object|null} boundingBox - Bounding box at settledAt
+ * @returns {Object} Classification (see classifyPattern())
+ */
+function result(category, period, dx, dy, settledAt, population, boundingBox) {
+  return {
+    category,
+    period,
+    dx,
+    dy,
+    speed: period ? formatSpeed(dx, dy, period) : null,
+    settledAt,
+    population,
+    boundingBox
+  }
+}
+
+/**
+ * Unbounded universe holding a pattern at its own coordinates.
+ *
+ * @private
+ * @param {Pattern} pattern - Trimmed pattern
+ * @param {string} rule - Rulestring
+ * @returns {HashLifeEngine} Universe at generation 0
+ */
+function createLife(pattern, rule) {
+  const life = new HashLifeEngine({ rule })
+  life.setPattern(pattern, pattern.originX, pattern.originY)
+  return life
+}
+
+/**
+ * Step a universe until its current state reappears, possibly shifted.
+ *
+ * @private
+ * @param {HashLifeEngine} life - Universe (advanced in place)
+ * @param {number} maxPeriod - Longest period looked for
+ * @returns {Object|null} { period, dx, dy }, or null if no cycle within maxPeriod
+ */
+function findCycle(life, maxPeriod) {
+  const box = life.getBoundingBox()
+  if (!box) return null
+  const key = regionKey(life, box)
+
+  for (let period = 1; period <= maxPeriod; period++) {
+    life.step(1)
+    const current = life.getBoundingBox()
+    if (!current) return null
+    if (current.width === box.width && current.height === box.height && regionKey(life, current) === key) {
+      return { period, dx: current.x - box.x, dy: current.y - box.y }
+    }
+  }
+  return null
+}
+
+/**
+ * Category of an exact cycle.
+ *
+ * @private
+ * @param {Object} cycle - { period, dx, dy }
+ * @returns {string} PatternCategory value
+ */
+function cycleCategory(cycle) {
+  if (cycle.dx !== 0 || cycle.dy !== 0) return PatternCategory.SPACESHIP
+  return cycle.period === 1 ? PatternCategory.STILL_LIFE : PatternCategory.OSCILLATOR
+}
+
+/**
+ * Find a period p such that the population grows by the same amount every
+ * p generations over the recent history (0 = settled).
+ *
+ * @private
+ * @param {number[]} populations - Population per generation so far
+ * @param {number} maxPeriod - Longest period looked for
+ * @returns {Object|null} { period, growth (cells per period), settledAt }, or null
+ */
+function findRegularGrowth(populations, maxPeriod) {
+  const t = populations.length - 1
+
+  for (let period = 1; period <= maxPeriod; period++) {
+    const span = Math.max(SETTLE_GENERATIONS, SETTLE_CYCLES * period)
+    if (t - span - period < 0) break
+
+    const growth = populations[t] - populations[t - period]
+    if (growth < 0) continue
+
+    let i = t - 1
+    while (i - period >= 0 && populations[i] - populations[i - period] === growth) i--
+    if (t - i >= span) {
+      return { period, growth, settledAt: i + 1 - period }
+    }
+  }
+  return null
+}
+
+/**
+ * Smallest period with which a region's contents repeat, stepping forward
+ * until spaceships passing through have left it.
+ *
+ * @private
+ * @param {HashLifeEngine} life - Universe (advanced in place)
+ * @param {Object} box - Region { x, y, width, height }
+ * @param {number} maxPeriod - Longest period looked for
+ * @returns {number|null} Period, or null if none before a c/4 ship could cross the region
+ */
+function findRegionPeriod(life, box, maxPeriod) {
+  const maxSteps = 4 * Math.max(box.width, box.height) + 2 * maxPeriod
+  const keys = [regionKey(life, box)]
+
+  for (let t = 1; t <= maxSteps; t++) {
+    life.step(1)
+    keys.push(regionKey(life, box))
+    keys[t - 2 * maxPeriod - 1] = undefined  // Only recent keys are compared
+
+    // The last two cycles must match, so a ship leaving mid-cycle is not mistaken for a repeat
+    for (let period = 1; 2 * period <= t && period <= maxPeriod; period++) {
+      let repeats = true
+      for (let i = t - period + 1; i <= t && repeats; i++) {
+        repeats = keys[i] === keys[i - period]
+      }
+      if (repeats) return period
+    }
+  }
+  return null
+}
+
+/**
+ * Shift of a growing bounding box along one axis: the moving edge's shift
+ * when only one edge moves (or both move together), NaN when it grows both ways.
+ *
+ * @private
+ * @param {number} startBefore - Low edge, one period earlier
+ * @param {number} endBefore - High edge (exclusive), one period earlier
+ * @param {number} startAfter - Low edge now
+ * @param {number} endAfter - High edge (exclusive) now
+ * @returns {number} Shift in cells
+ */
+function edgeShift(startBefore, endBefore, startAfter, endAfter) {
+  const startShift = startAfter - startBefore
+  const endShift = endAfter - endBefore
+  if (startShift === 0) return endShift
+  if (endShift === 0 || endShift === startShift) return startShift
+  return NaN
+}
+
+/**
+ * Window of the pattern's own size at the leading edges of a moving bounding box.
+ * Along an axis without movement the window spans the whole box.
+ *
+ * @private
+ * @param {Object} box - Bounding box { x, y, width, height }
+ * @param {Object} size - Pattern box (its width and height are used)
+ * @param {number} dx - Horizontal movement per period
+ * @param {number} dy - Vertical movement per period
+ * @returns {Object} Window { x, y, width, height }
+ */
+function frontWindow(box, size, dx, dy) {
+  const width = dx === 0 ? box.width : Math.min(size.width, box.width)
+  const height = dy === 0 ? box.height : Math.min(size.height, box.height)
+  return {
+    x: dx > 0 ? box.x + box.width - width : box.x,
+    y: dy > 0 ? box.y + box.height - height : box.y,
+    width,
+    height
+  }
+}
+
+/**
+ * Comparable key of a region's live cells, relative to its corner
+ * (so a region and its shifted copy compare equal).
+ *
+ * @private
+ * @param {HashLifeEngine} life - Universe
+ * @param {Object} box - Region { x, y, width, height }
+ * @returns {string} Key
+ */
+function regionKey(life, box) {
+  const cells = life.getAliveCells(box.x, box.y, box.width, box.height)
+  const offsets = []
+  for (let k = 0; k < cells.length; k += 2) {
+    offsets.push((cells[k + 1] - box.y) * box.width + (cells[k] - box.x))
+  }
+  return offsets.sort((a, b) => a - b).join(',')
+}
+
+/**
+ * Greatest common divisor.
+ *
+ * @private
+ * @param {number} a - Non-negative integer
+ * @param {number} b - Non-negative integer
+ * @returns {number} GCD
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b)
+}
@@ -5,7 +5,7 @@
  * Supports static patterns (frozen phases) and loop patterns (animated oscillators).
  *
  * PHILOSOPHY (CLAUDE.md):
- * - Pure GoL only (B3/S23 authentic)
+ * - Pure GoL only (B3/S23 authentic by default, other life-like rules via config.rule)
  * - No Modified GoL (use GoLHelpers for that)
  * - Simple, declarative API
  * - 100% backward compatible with debug interface
@@ -15,14 +15,23 @@
  * - Array of patterns: Random selection from set
  * - Static mode: Frozen at specific phase
  * - Loop mode: Animated with periodic reset
+ * - Pattern text (RLE, plaintext .cells, Life 1.06) and Pattern instances accepted wherever a PatternName is
+ * - Periods, categories and speeds of the catalogue generated by simulation
+ *   (scripts/generate-pattern-tables.mjs runs PatternClassifier), not hand-written
+ * - Optional classifier for pattern text and Patterns (see setPatternClassifier())
  *
  * @module PatternRenderer
  * @author Game of Life Arcade
  * @license ISC
  */
 
-import { GoLEngine } from './GoLEngine.js'
-import { Patterns } from './Patterns.js'
+import { GoLEngine, Rules, Boundary, Clock, parseRule } from './GoLEngine.js'
+import { Patterns, PatternCategory, detectPatternFormat } from './Patterns.js'
+import { Pattern } from './Pattern.js'
+import { globalRandom } from './Random.js'
+
+// Categories live with the catalogue they describe (shared with PatternClassifier)
+export { PatternCategory }
 
 // ============================================
 // ENUMS AND CONSTANTS
@@ -58,72 +67,96 @@ export const PatternName = {
   // Oscillators (period 3)
   PULSAR: 'PULSAR',
 
+  // Oscillators (longer periods)
+  FIGURE_EIGHT: 'FIGURE_EIGHT',
+  PENTADECATHLON: 'PENTADECATHLON',
+  QUEEN_BEE_SHUTTLE: 'QUEEN_BEE_SHUTTLE',
+  CLOCK: 'CLOCK',
+
   // Spaceships
   GLIDER: 'GLIDER',
-  LIGHTWEIGHT_SPACESHIP: 'LIGHTWEIGHT_SPACESHIP'
+  LIGHTWEIGHT_SPACESHIP: 'LIGHTWEIGHT_SPACESHIP',
+  MIDDLEWEIGHT_SPACESHIP: 'MIDDLEWEIGHT_SPACESHIP',
+  HEAVYWEIGHT_SPACESHIP: 'HEAVYWEIGHT_SPACESHIP',
+
+  // Guns (emit spaceships forever)
+  GOSPER_GLIDER_GUN: 'GOSPER_GLIDER_GUN',
+
+  // Eaters (still lifes that absorb incoming spaceships)
+  EATER_1: 'EATER_1',
+
+  // Puffers (spaceships leaving debris)
+  BLINKER_PUFFER_1: 'BLINKER_PUFFER_1'
 }
 
+// Uncatalogued patterns are simulated this long to find their loop period
+const MAX_UNLISTED_GENERATIONS = 64
+
+// Optional classifier for uncatalogued patterns (see setPatternClassifier())
+let patternClassifier = null
+
 /**
- * Pattern periods (generations per cycle).
- * Still lifes have period 1 (stable, never change).
- * Oscillators/spaceships have period > 1.
+ * Classification of every PatternName entry (see classifyPattern()).
+ * Generated by scripts/generate-pattern-tables.mjs, so the catalogue needs
+ * neither PatternClassifier nor HashLife at runtime; re-run it after
+ * changing the catalogue.
+ *
+ * @example
+ * PatternClassification.GLIDER.speed        // 'c/4 diagonal'
+ * PatternClassification.GOSPER_GLIDER_GUN   // { category: 'gun', period: 30, ... }
  */
-export const PatternPeriod = {
-  // Still Lifes
-  BLOCK: 1,
-  BEEHIVE: 1,
-  LOAF: 1,
-  BOAT: 1,
-  TUB: 1,
-  POND: 1,
-  SHIP: 1,
-
-  // Oscillators
-  BLINKER: 2,
-  TOAD: 2,
-  BEACON: 2,
-  PULSAR: 3,
-
-  // Spaceships
-  GLIDER: 4,
-  LIGHTWEIGHT_SPACESHIP: 4
+// BEGIN GENERATED PATTERN TABLES
+export const PatternClassification = {
+  BLOCK: { category: 'still-life', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 4, boundingBox: { x: 0, y: 0, width: 2, height: 2 } },
+  BEEHIVE: { category: 'still-life', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 6, boundingBox: { x: 0, y: 0, width: 4, height: 3 } },
+  LOAF: { category: 'still-life', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 7, boundingBox: { x: 0, y: 0, width: 4, height: 4 } },
+  BOAT: { category: 'still-life', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 5, boundingBox: { x: 0, y: 0, width: 3, height: 3 } },
+  TUB: { category: 'still-life', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 4, boundingBox: { x: 0, y: 0, width: 3, height: 3 } },
+  POND: { category: 'still-life', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 8, boundingBox: { x: 0, y: 0, width: 4, height: 4 } },
+  SHIP: { category: 'still-life', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 6, boundingBox: { x: 0, y: 0, width: 3, height: 3 } },
+  BLINKER: { category: 'oscillator', period: 2, dx: 0, dy: 0, speed: null, settledAt: 0, population: 3, boundingBox: { x: 1, y: 0, width: 1, height: 3 } },
+  TOAD: { category: 'oscillator', period: 2, dx: 0, dy: 0, speed: null, settledAt: 0, population: 6, boundingBox: { x: 0, y: 1, width: 4, height: 2 } },
+  BEACON: { category: 'oscillator', period: 2, dx: 0, dy: 0, speed: null, settledAt: 0, population: 8, boundingBox: { x: 0, y: 0, width: 4, height: 4 } },
+  PULSAR: { category: 'oscillator', period: 3, dx: 0, dy: 0, speed: null, settledAt: 0, population: 48, boundingBox: { x: 0, y: 0, width: 13, height: 13 } },
+  FIGURE_EIGHT: { category: 'oscillator', period: 8, dx: 0, dy: 0, speed: null, settledAt: 0, population: 18, boundingBox: { x: 0, y: 0, width: 6, height: 6 } },
+  PENTADECATHLON: { category: 'oscillator', period: 15, dx: 0, dy: 0, speed: null, settledAt: 0, population: 12, boundingBox: { x: 0, y: 0, width: 10, height: 3 } },
+  QUEEN_BEE_SHUTTLE: { category: 'oscillator', period: 30, dx: 0, dy: 0, speed: null, settledAt: 0, population: 20, boundingBox: { x: 0, y: 0, width: 22, height: 7 } },
+  CLOCK: { category: 'oscillator', period: 2, dx: 0, dy: 0, speed: null, settledAt: 0, population: 6, boundingBox: { x: 0, y: 0, width: 4, height: 4 } },
+  GLIDER: { category: 'spaceship', period: 4, dx: 1, dy: 1, speed: 'c/4 diagonal', settledAt: 0, population: 5, boundingBox: { x: 0, y: 0, width: 3, height: 3 } },
+  LIGHTWEIGHT_SPACESHIP: { category: 'spaceship', period: 4, dx: 2, dy: 0, speed: 'c/2 orthogonal', settledAt: 0, population: 9, boundingBox: { x: 1, y: 1, width: 5, height: 4 } },
+  MIDDLEWEIGHT_SPACESHIP: { category: 'spaceship', period: 4, dx: 2, dy: 0, speed: 'c/2 orthogonal', settledAt: 0, population: 11, boundingBox: { x: 1, y: 1, width: 6, height: 5 } },
+  HEAVYWEIGHT_SPACESHIP: { category: 'spaceship', period: 4, dx: 2, dy: 0, speed: 'c/2 orthogonal', settledAt: 0, population: 13, boundingBox: { x: 1, y: 1, width: 7, height: 5 } },
+  GOSPER_GLIDER_GUN: { category: 'gun', period: 30, dx: 0, dy: 0, speed: null, settledAt: 0, population: 36, boundingBox: { x: 0, y: 0, width: 36, height: 9 } },
+  EATER_1: { category: 'eater', period: 1, dx: 0, dy: 0, speed: null, settledAt: 0, population: 7, boundingBox: { x: 0, y: 0, width: 4, height: 4 } },
+  BLINKER_PUFFER_1: { category: 'puffer', period: 8, dx: 4, dy: 0, speed: 'c/2 orthogonal', settledAt: 0, population: 37, boundingBox: { x: 0, y: 0, width: 9, height: 18 } }
 }
+// END GENERATED PATTERN TABLES
 
 /**
- * Pattern categories for filtering and organization.
+ * Pattern periods (generations per cycle), from PatternClassification.
+ * Still lifes have period 1 (stable, never change).
+ * Oscillators/spaceships have period > 1; guns emit one spaceship per period;
+ * puffers repeat their moving front (the trail keeps growing).
  */
-export const PatternCategory = {
-  STILL_LIFE: 'still-life',
-  OSCILLATOR: 'oscillator',
-  SPACESHIP: 'spaceship'
+export const PatternPeriod = {}
+for (const [name, classification] of Object.entries(PatternClassification)) {
+  PatternPeriod[name] = classification.period
 }
 
 /**
- * Pattern metadata (category, size classification).
+ * Pattern metadata (category, size classification, speed), from
+ * PatternClassification and the pattern's dimensions.
  * Used for smart filtering and display.
  */
-export const PatternMetadata = {
-  BLOCK: { category: PatternCategory.STILL_LIFE, size: 'tiny' },
-  BEEHIVE: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  LOAF: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  BOAT: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  TUB: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  POND: { category: PatternCategory.STILL_LIFE, size: 'small' },
-  SHIP: { category: PatternCategory.STILL_LIFE, size: 'small' },
-
-  BLINKER: { category: PatternCategory.OSCILLATOR, size: 'small' },
-  TOAD: { category: PatternCategory.OSCILLATOR, size: 'small' },
-  BEACON: { category: PatternCategory.OSCILLATOR, size: 'small' },
-  PULSAR: { category: PatternCategory.OSCILLATOR, size: 'large' },
-
-  GLIDER: { category: PatternCategory.SPACESHIP, size: 'small' },
-  LIGHTWEIGHT_SPACESHIP: { category: PatternCategory.SPACESHIP, size: 'medium' }
+export const PatternMetadata = {}
+for (const [name, classification] of Object.entries(PatternClassification)) {
+  PatternMetadata[name] = {
+    category: classification.category || 'unknown',
+    size: sizeClass(Patterns[name]),
+    speed: classification.speed
+  }
 }
 
-// ============================================
-// MAIN API
-// ============================================
-
 /**
  * Create GoL engine configured with Pure GoL pattern(s).
  *
@@ -135,14 +168,25 @@ export const PatternMetadata = {
  *
  * @param {Object} config - Configuration object
  * @param {string} config.mode - Render mode (RenderMode.STATIC | RenderMode.LOOP)
- * @param {string|string[]} config.pattern - Pattern name(s) (PatternName enum)
+ * @param {string|Pattern|Array} config.pattern - Pattern name(s) (PatternName enum), pattern text or Pattern(s)
  *   - Single: 'BLINKER' → always BLINKER
  *   - Array: ['BLINKER', 'TOAD'] → random choice
+ *   - Text: 'x = 3, y = 3\nbo$2bo$3o!' → that pattern (period unknown; RLE rule header is used)
+ *     Any PatternFormat (RLE, plaintext .cells, Life 1.06), detected automatically
  * @param {number} [config.phase] - Phase index for STATIC mode (0 to period-1)
- *   - If omitted: random phase
+ *   - If omitted: random phase (0 for text patterns)
  *   - If array patterns: each pick gets random phase
  * @param {number} [config.globalCellSize=30] - Cell size in pixels
  * @param {number} [config.loopUpdateRate=10] - Update rate for LOOP mode (fps)
+ * @param {string} [config.rule='B3/S23'] - Rulestring used for phase evolution and LOOP mode
+ *   (PatternPeriod assumes B3/S23; other rules may not repeat with the same period).
+ *   Defaults to the rule in an RLE pattern's header, if any
+ * @param {string} [config.boundary='dead'] - Grid edge behaviour (Boundary enum)
+ *   - Boundary.TORUS lets a LOOP-mode spaceship wrap around its sprite forever
+ * @param {string} [config.clock='frame'] - What gol.updateThrottled() counts (Clock enum)
+ *   - Clock.TIME: pass elapsed ms (p5.js deltaTime) for refresh-rate independent speed
+ * @param {SeededRandom} [config.rng=globalRandom] - Generator for pattern/phase selection
+ *   (also becomes the engine's generator)
  *
  * @returns {Object} Renderer object
  *   {
@@ -155,11 +199,13 @@ export const PatternMetadata = {
  *       hitboxRadius: number    // Suggested hitbox
  *     },
  *     metadata: {               // Pattern info
- *       pattern: string,        // Pattern name used
+ *       pattern: string,        // Pattern name used (text: its name, or the PatternFormat)
  *       phase: number,          // Phase applied (static mode)
- *       period: number,         // Pattern period
+ *       period: number|null,    // Pattern period (null if unknown, e.g. text patterns that do not cycle)
  *       category: string,       // Pattern category
- *       mode: string            // Render mode
+ *       mode: string,           // Render mode
+ *       rule: string,           // Rulestring used
+ *       boundary: string        // Boundary used
  *     }
  *   }
  *
@@ -197,35 +243,65 @@ export const PatternMetadata = {
  *   globalCellSize: 30,
  *   loopUpdateRate: 10
  * })
+ *
+ * @example
+ * // HighLife glider (B36/S23)
+ * const drone = createPatternRenderer({
+ *   mode: RenderMode.LOOP,
+ *   pattern: PatternName.GLIDER,
+ *   rule: Rules.HIGHLIFE
+ * })
+ *
+ * @example
+ * // Endless glider wrapping around its sprite
+ * const drone = createPatternRenderer({
+ *   mode: RenderMode.LOOP,
+ *   pattern: PatternName.GLIDER,
+ *   boundary: Boundary.TORUS
+ * })
+ *
+ * @example
+ * // Pattern pasted from LifeWiki (RLE)
+ * const spinner = createPatternRenderer({
+ *   mode: RenderMode.LOOP,
+ *   pattern: '#N Clock\nx = 4, y = 4, rule = B3/S23\n2bo$obo$bobo$bo!'
+ * })
  */
 export function createPatternRenderer(config) {
   // 1. Validate config
   validateConfig(config)
 
   // 2. Select pattern (if array, pick random)
-  const patternName = Array.isArray(config.pattern)
-    ? config.pattern[Math.floor(Math.random() * config.pattern.length)]
-    : config.pattern
+  const rng = config.rng || globalRandom
+  const pattern = resolvePattern(Array.isArray(config.pattern)
+    ? rng.pick(config.pattern)
+    : config.pattern, config.rule)
 
-  // 3. Get pattern period
-  const period = PatternPeriod[patternName] || 1
+  // 3. Get pattern period (null if unknown; pattern text and Patterns need a classifier, see setPatternClassifier())
+  const period = pattern.period
 
   // 4. Determine phase
   let phase = 0
   if (config.mode === RenderMode.STATIC) {
     if (config.phase !== undefined) {
-      phase = Math.max(0, Math.min(period - 1, config.phase))
-    } else {
+      phase = period === null ? config.phase : Math.max(0, Math.min(period - 1, config.phase))
+    } else if (period !== null) {
       // Random phase if not specified
-      phase = Math.floor(Math.random() * period)
+      phase = rng.int(0, period)
     }
   }
 
   // 5. Create renderer based on mode
+  const engineOptions = {
+    rule: config.rule || pattern.rule || Rules.CONWAY,
+    boundary: config.boundary || Boundary.DEAD,
+    clock: config.clock || Clock.FRAME,
+    rng
+  }
   if (config.mode === RenderMode.STATIC) {
-    return createStaticRenderer(patternName, phase, config.globalCellSize || 30)
+    return createStaticRenderer(pattern, phase, config.globalCellSize || 30, engineOptions)
   } else if (config.mode === RenderMode.LOOP) {
-    return createLoopRenderer(patternName, config.globalCellSize || 30, config.loopUpdateRate || 10)
+    return createLoopRenderer(pattern, config.globalCellSize || 30, config.loopUpdateRate || 10, engineOptions)
   }
 
   throw new Error(`[PatternRenderer] Invalid render mode: ${config.mode}`)
@@ -241,22 +317,21 @@ export function createPatternRenderer(config) {
  * ALGORITHM (OPTION A IMPROVED - from DebugAppearance.js):
  * 1. Create temporal grid with 20% padding (CRITICAL for border patterns like PULSAR)
  * 2. Apply pattern at center of temporal grid
- * 3. Evolve N generations (authentic B3/S23)
+ * 3. Evolve N generations (authentic B3/S23, or config.rule)
  * 4. Capture snapshot of evolved pattern
  * 5. Create entity grid with evolved pattern centered
  * 6. Freeze grid (no further evolution)
  *
  * @private
- * @param {string} patternName - Pattern name
+ * @param {Object} resolved - Pattern from resolvePattern()
  * @param {number} phase - Phase index (0 to period-1)
  * @param {number} globalCellSize - Cell size in pixels
+ * @param {Object} engineOptions - GoLEngine options ({ rule, boundary, clock, rng })
  * @returns {Object} Renderer object
  */
-function createStaticRenderer(patternName, phase, globalCellSize) {
-  const pattern = Patterns[patternName]
-  if (!pattern) {
-    throw new Error(`[PatternRenderer] Unknown pattern: ${patternName}`)
-  }
+function createStaticRenderer(resolved, phase, globalCellSize, engineOptions) {
+  const patternName = resolved.name
+  const pattern = resolved.cells
 
   // 1. Get pattern dimensions
   const patternHeight = pattern.length
@@ -265,7 +340,7 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
   // 2. Create temporal grid with 20% padding (authentic B3/S23 evolution)
   const paddedWidth = Math.ceil(patternWidth * 1.2)
   const paddedHeight = Math.ceil(patternHeight * 1.2)
-  const tempGol = new GoLEngine(paddedWidth, paddedHeight, 0)
+  const tempGol = new GoLEngine(paddedWidth, paddedHeight, 0, engineOptions)
 
   // 3. Center pattern in temporal grid (gives border cells full 8-neighbor context)
   const tempCenterX = Math.floor((paddedWidth - patternWidth) / 2)
@@ -283,8 +358,8 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
   // 6. Calculate entity grid size (use padded dimensions)
   const gridSize = Math.max(paddedWidth, paddedHeight)
 
-  // 7. Create entity GoL engine
-  const gol = new GoLEngine(gridSize, gridSize, 0)
+  // 7. Create entity GoL engine (same options, so unfreezing continues the evolution)
+  const gol = new GoLEngine(gridSize, gridSize, 0, engineOptions)
 
   // 8. Center evolved pattern in entity grid
   const entityCenterX = Math.floor((gridSize - paddedWidth) / 2)
@@ -295,7 +370,7 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
       const targetX = entityCenterX + x
       const targetY = entityCenterY + y
       if (targetX >= 0 && targetX < gol.cols && targetY >= 0 && targetY < gol.rows) {
-        gol.current[targetX][targetY] = evolvedPattern[x][y]
+        gol.setCell(targetX, targetY, evolvedPattern[x][y])
       }
     }
   }
@@ -313,16 +388,18 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
   }
 
   // 11. Metadata
-  const period = PatternPeriod[patternName] || 1
+  const period = resolved.period
   const metadata = {
     pattern: patternName,
     phase: phase,
     period: period,
-    category: PatternMetadata[patternName]?.category || 'unknown',
-    mode: RenderMode.STATIC
+    category: resolved.category,
+    mode: RenderMode.STATIC,
+    rule: gol.getRule(),
+    boundary: gol.boundary
   }
 
-  console.log(`[PatternRenderer] Static: ${patternName} phase ${phase}/${period - 1}, ${dimensions.width}×${dimensions.height}px`)
+  console.log(`[PatternRenderer] Static: ${patternName} phase ${phase}/${period === null ? '?' : period - 1}, ${dimensions.width}×${dimensions.height}px`)
 
   return { gol, dimensions, metadata }
 }
@@ -334,22 +411,21 @@ function createStaticRenderer(patternName, phase, globalCellSize) {
  * 1. Create entity grid with 20% padding
  * 2. Apply pattern at center
  * 3. Mark as loop pattern (isLoopPattern flag for LoopPatternHelpers)
- * 4. Configure periodic reset metadata
+ * 4. Configure periodic reset metadata (incl. snapshot of the canonical phase)
  * 5. Unfreeze (allow continuous B3/S23 evolution)
  *
  * @private
- * @param {string} patternName - Pattern name
+ * @param {Object} resolved - Pattern from resolvePattern()
  * @param {number} globalCellSize - Cell size in pixels
  * @param {number} loopUpdateRate - Update rate (fps)
+ * @param {Object} engineOptions - GoLEngine options ({ rule, boundary, clock, rng })
  * @returns {Object} Renderer object
  */
-function createLoopRenderer(patternName, globalCellSize, loopUpdateRate) {
-  const pattern = Patterns[patternName]
-  if (!pattern) {
-    throw new Error(`[PatternRenderer] Unknown pattern: ${patternName}`)
-  }
+function createLoopRenderer(resolved, globalCellSize, loopUpdateRate, engineOptions) {
+  const patternName = resolved.name
+  const pattern = resolved.cells
 
-  const period = PatternPeriod[patternName] || 1
+  const period = resolved.period
   if (period === 1) {
     console.warn(`[PatternRenderer] Pattern ${patternName} is a still life (period 1), loop mode will show no animation`)
   }
@@ -364,7 +440,7 @@ function createLoopRenderer(patternName, globalCellSize, loopUpdateRate) {
   const gridSize = Math.max(paddedWidth, paddedHeight)
 
   // 3. Create GoL engine (loopUpdateRate controls evolution speed)
-  const gol = new GoLEngine(gridSize, gridSize, loopUpdateRate)
+  const gol = new GoLEngine(gridSize, gridSize, loopUpdateRate, engineOptions)
 
   // 4. Center pattern
   const centerX = Math.floor((gridSize - patternWidth) / 2)
@@ -382,6 +458,7 @@ function createLoopRenderer(patternName, globalCellSize, loopUpdateRate) {
 
   // 6. Unfreeze (allow continuous evolution)
   gol.unfreeze()
+  gol.loopSnapshot = gol.snapshot()  // Canonical phase 0 (see resetLoopPattern())
 
   // 7. Calculate dimensions
   const dimensions = {
@@ -397,11 +474,13 @@ function createLoopRenderer(patternName, globalCellSize, loopUpdateRate) {
     pattern: patternName,
     phase: null,  // N/A for loop mode
     period: period,
-    category: PatternMetadata[patternName]?.category || 'unknown',
-    mode: RenderMode.LOOP
+    category: resolved.category,
+    mode: RenderMode.LOOP,
+    rule: gol.getRule(),
+    boundary: gol.boundary
   }
 
-  console.log(`[PatternRenderer] Loop: ${patternName} period ${period}, ${dimensions.width}×${dimensions.height}px, ${loopUpdateRate}fps`)
+  console.log(`[PatternRenderer] Loop: ${patternName} period ${period === null ? '?' : period}, ${dimensions.width}×${dimensions.height}px, ${loopUpdateRate}fps`)
 
   return { gol, dimensions, metadata }
 }
@@ -430,12 +509,18 @@ function validateConfig(config) {
     throw new Error('[PatternRenderer] config.pattern is required')
   }
 
-  // Validate pattern names (single or array)
+  if (config.rule !== undefined) {
+    try {
+      parseRule(config.rule)
+    } catch (err) {
+      throw new Error(`[PatternRenderer] config.rule is invalid: ${err.message}`)
+    }
+  }
+
+  // Validate pattern names, pattern text or Patterns (single or array), under the rule they will run
   const patterns = Array.isArray(config.pattern) ? config.pattern : [config.pattern]
   for (const p of patterns) {
-    if (!Patterns[p]) {
-      throw new Error(`[PatternRenderer] Unknown pattern: ${p}. Check PatternName enum for valid names.`)
-    }
+    resolvePattern(p, config.rule)
   }
 
   if (config.mode === RenderMode.STATIC && config.phase !== undefined) {
@@ -455,29 +540,159 @@ function validateConfig(config) {
       throw new Error('[PatternRenderer] config.loopUpdateRate must be a number >= 0')
     }
   }
+
+  if (config.boundary !== undefined && !Object.values(Boundary).includes(config.boundary)) {
+    throw new Error(`[PatternRenderer] Invalid boundary: ${config.boundary}. Must be a Boundary enum value`)
+  }
+
+  if (config.clock !== undefined && !Object.values(Clock).includes(config.clock)) {
+    throw new Error(`[PatternRenderer] Invalid clock: ${config.clock}. Must be a Clock enum value`)
+  }
+}
+
+/**
+ * Look up a pattern by name, parse it if it is pattern text, or unwrap a Pattern.
+ *
+ * @private
+ * @param {string|Pattern} pattern - PatternName value, pattern text (any PatternFormat) or Pattern
+ * @param {string|null} [rule=null] - Rule the pattern will run under (classifies uncatalogued patterns;
+ *   default: the pattern's own rule)
+ * @returns {Object} { name, cells (row-major), period (null if unknown), category, rule (rule it runs under, or null for the catalogue) }
+ * @throws {Error} If the pattern is neither a Pattern, a known name nor valid pattern text
+ */
+function resolvePattern(pattern, rule = null) {
+  if (typeof pattern === 'string' && Object.hasOwn(Patterns, pattern)) {
+    return {
+      name: pattern,
+      cells: Patterns[pattern],
+      period: PatternPeriod[pattern] || 1,
+      category: PatternMetadata[pattern]?.category || 'unknown',
+      rule: null
+    }
+  }
+
+  if (pattern instanceof Pattern || detectPatternFormat(pattern)) {
+    const unlisted = Pattern.from(pattern)
+    const name = unlisted.name || (pattern instanceof Pattern ? 'pattern' : detectPatternFormat(pattern))
+    return unlistedPattern(name, unlisted.cells, rule || unlisted.rule)
+  }
+
+  throw new Error(`[PatternRenderer] Unknown pattern: ${pattern}. Check PatternName enum for valid names, or pass pattern text.`)
+}
+
+/**
+ * Resolve a pattern that is not in the catalogue, classifying it on the fly
+ * if a classifier is set (see setPatternClassifier()).
+ * Only exact cycles matter for rendering, so the simulation stops after
+ * MAX_UNLISTED_GENERATIONS instead of waiting for a methuselah to settle.
+ * Without a classifier, or for rules it cannot simulate (Generations,
+ * colour, Larger than Life), the period is unknown.
+ *
+ * @private
+ * @param {string} name - Display name
+ * @param {number[][]} cells - Row-major cells
+ * @param {string|null} rule - Rulestring it runs under (null = B3/S23)
+ * @returns {Object} Resolved pattern (see resolvePattern()); period null if it does not cycle
+ * @throws {Error} If a classifier is set and the rulestring is malformed
+ */
+function unlistedPattern(name, cells, rule) {
+  const classification = patternClassifier && patternClassifier.isClassifiableRule(rule || undefined)
+    ? patternClassifier.classifyPattern(cells, { rule: rule || undefined, maxGenerations: MAX_UNLISTED_GENERATIONS })
+    : null
+
+  const cycles = classification && classification.settledAt === 0 && classification.period
+  return {
+    name,
+    cells,
+    period: cycles ? classification.period : null,
+    category: cycles ? classification.category : 'unknown',
+    rule
+  }
+}
+
+/**
+ * Size class of a pattern by its larger side.
+ *
+ * @private
+ * @param {number[][]} cells - Row-major cells
+ * @returns {string} 'tiny' (≤2), 'small' (≤4), 'medium' (≤12) or 'large'
+ */
+function sizeClass(cells) {
+  const side = Math.max(cells.length, cells[0] ? cells[0].length : 0)
+  if (side <= 2) return 'tiny'
+  if (side <= 4) return 'small'
+  if (side <= 12) return 'medium'
+  return 'large'
 }
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
+/**
+ * Classify pattern text and Patterns by simulation, so LOOP mode and
+ * getPatternPeriod() know their period. Catalogue entries never need this
+ * (their tables are generated); without a classifier, uncatalogued
+ * patterns have an unknown period (null).
+ *
+ * PatternClassifier.js (with HashLife.js) is optional: load it only if the
+ * game renders pasted patterns in LOOP mode.
+ *
+ * @param {Object|null} classifier - { classifyPattern, isClassifiableRule }
+ *   (e.g. the PatternClassifier module), or null to stop classifying
+ * @throws {Error} If the classifier lacks either function
+ *
+ * @example
+ * import * as PatternClassifier from './lib/PatternClassifier.js'
+ * setPatternClassifier(PatternClassifier)
+ * getPatternPeriod('x = 3, y = 1\n3o!')  // 2 (null without a classifier)
+ */
+export function setPatternClassifier(classifier) {
+  const valid = classifier === null ||
+    (typeof classifier?.classifyPattern === 'function' && typeof classifier?.isClassifiableRule === 'function')
+  if (!valid) {
+    throw new Error('[PatternRenderer] A classifier needs classifyPattern() and isClassifiableRule() (see PatternClassifier.js)')
+  }
+  patternClassifier = classifier
+}
+
+/**
+ * Restore a LOOP-mode engine to its canonical phase 0, exactly as created.
+ * Use after gameplay edits (hits, life force) or to resync several loops.
+ *
+ * @param {GoLEngine} gol - Engine from a LOOP-mode renderer
+ * @throws {Error} If the engine was not created in LOOP mode
+ *
+ * @example
+ * const powerup = createPatternRenderer({ mode: RenderMode.LOOP, pattern: PatternName.PULSAR })
+ * // ... later, after the player damaged it
+ * resetLoopPattern(powerup.gol)
+ */
+export function resetLoopPattern(gol) {
+  if (!gol.isLoopPattern || !gol.loopSnapshot) {
+    throw new Error('[PatternRenderer] resetLoopPattern() requires an engine created with RenderMode.LOOP')
+  }
+
+  gol.restore(gol.loopSnapshot)
+  gol.loopResetCounter++
+  gol.loopLastGeneration = gol.generation
+}
+
 /**
  * Get pattern dimensions without creating engine.
  * Useful for pre-calculation and layout planning.
  *
- * @param {string} patternName - Pattern name (PatternName enum)
+ * @param {string|Pattern} patternName - Pattern name (PatternName enum), pattern text or Pattern
  * @param {number} [globalCellSize=30] - Cell size in pixels
  * @returns {Object} { gridSize, cellSize, width, height, hitboxRadius }
+ * @throws {Error} If the pattern is neither a Pattern, a known name nor valid pattern text
  *
  * @example
  * const dims = getPatternDimensions(PatternName.PULSAR, 30)
  * // { gridSize: 16, cellSize: 30, width: 480, height: 480, hitboxRadius: 288 }
  */
 export function getPatternDimensions(patternName, globalCellSize = 30) {
-  const pattern = Patterns[patternName]
-  if (!pattern) {
-    throw new Error(`[PatternRenderer] Unknown pattern: ${patternName}`)
-  }
+  const pattern = resolvePattern(patternName).cells
 
   const patternHeight = pattern.length
   const patternWidth = pattern[0] ? pattern[0].length : 0
@@ -499,30 +714,33 @@ export function getPatternDimensions(patternName, globalCellSize = 30) {
  * Check if pattern supports loop mode.
  * Still lifes (period 1) do not animate in loop mode.
  *
- * @param {string} patternName - Pattern name
+ * @param {string|Pattern} patternName - Pattern name (PatternName enum), pattern text or Pattern
  * @returns {boolean} True if oscillator or spaceship (period > 1)
+ * @throws {Error} If the pattern is neither a Pattern, a known name nor valid pattern text
  *
  * @example
  * supportsLoopMode(PatternName.BLINKER)  // true (period 2)
  * supportsLoopMode(PatternName.BLOCK)    // false (still life)
  */
 export function supportsLoopMode(patternName) {
-  return (PatternPeriod[patternName] || 1) > 1
+  return (resolvePattern(patternName).period || 1) > 1
 }
 
 /**
  * Get pattern period (generations per cycle).
  *
- * @param {string} patternName - Pattern name
- * @returns {number} Period (1 for still lifes)
+ * @param {string|Pattern} patternName - Pattern name (PatternName enum), pattern text or Pattern
+ * @returns {number|null} Period (1 for still lifes; null if pattern text or a Pattern does not cycle)
+ * @throws {Error} If the pattern is neither a Pattern, a known name nor valid pattern text
  *
  * @example
  * getPatternPeriod(PatternName.BLINKER)  // 2
  * getPatternPeriod(PatternName.PULSAR)   // 3
  * getPatternPeriod(PatternName.BLOCK)    // 1
+ * getPatternPeriod('x = 3, y = 1\n3o!')  // 2 with a classifier (see setPatternClassifier()), else null
  */
 export function getPatternPeriod(patternName) {
-  return PatternPeriod[patternName] || 1
+  return resolvePattern(patternName).period
 }
 
 /**
@@ -533,7 +751,11 @@ export function getPatternPeriod(patternName) {
  *
  * @example
  * const oscillators = getPatternsByCategory(PatternCategory.OSCILLATOR)
- * // ['BLINKER', 'TOAD', 'BEACON', 'PULSAR']
+ * // ['BLINKER', 'TOAD', 'BEACON', 'PULSAR', 'CLOCK', 'FIGURE_EIGHT', ...]
+ *
+ * @example
+ * const turrets = getPatternsByCategory(PatternCategory.GUN)
+ * // ['GOSPER_GLIDER_GUN']
  */
 export function getPatternsByCategory(category) {
   return Object.entries(PatternMetadata)
@@ -545,18 +767,19 @@ export function getPatternsByCategory(category) {
  * Get random pattern from category.
  *
  * @param {string} category - PatternCategory enum value
+ * @param {SeededRandom} [rng=globalRandom] - Random generator
  * @returns {string} Random pattern name
  *
  * @example
  * const randomOscillator = getRandomPattern(PatternCategory.OSCILLATOR)
- * // Returns: 'BLINKER' | 'TOAD' | 'BEACON' | 'PULSAR'
+ * // Returns: 'BLINKER' | 'TOAD' | 'BEACON' | 'PULSAR' | 'CLOCK' | ...
  */
-export function getRandomPattern(category) {
+export function getRandomPattern(category, rng = globalRandom) {
   const patterns = getPatternsByCategory(category)
   if (patterns.length === 0) {
     throw new Error(`[PatternRenderer] No patterns found for category: ${category}`)
   }
-  return patterns[Math.floor(Math.random() * patterns.length)]
+  return rng.pick(patterns)
 }
 
 /**
@@ -566,7 +789,7 @@ export function getRandomPattern(category) {
  *
  * @example
  * const allPatterns = getAllPatterns()
- * // ['BLOCK', 'BEEHIVE', 'LOAF', ..., 'LIGHTWEIGHT_SPACESHIP']
+ * // ['BLOCK', 'BEEHIVE', 'LOAF', ..., 'BLINKER_PUFFER_1']
  */
 export function getAllPatterns() {
   return Object.keys(PatternName)
@@ -575,13 +798,14 @@ export function getAllPatterns() {
 /**
  * Get pattern category.
  *
- * @param {string} patternName - Pattern name
- * @returns {string} Category (PatternCategory enum value)
+ * @param {string|Pattern} patternName - Pattern name (PatternName enum), pattern text or Pattern
+ * @returns {string} Category (PatternCategory enum value, or 'unknown')
+ * @throws {Error} If the pattern is neither a Pattern, a known name nor valid pattern text
  *
  * @example
  * getPatternCategory(PatternName.BLINKER)  // 'oscillator'
  * getPatternCategory(PatternName.BLOCK)    // 'still-life'
  */
 export function getPatternCategory(patternName) {
-  return PatternMetadata[patternName]?.category || 'unknown'
+  return resolvePattern(patternName).category
 }
@@ -2,9 +2,19 @@
  * Canonical Conway's Game of Life patterns from LifeWiki.
  * All patterns are authentic and documented in GoL literature.
  *
- * Pattern format: 2D array where 1 = alive, 0 = dead
+ * Pattern format: 2D array where 1 = alive, 0 = dead, row-major (pattern[row][col])
+ * Helpers and writers also take a Pattern (see Pattern.js), which carries
+ * size, origin and rule along with the cells.
  * Patterns are credited to their sources (LifeWiki, Golly, etc.)
  *
+ * TEXT FORMATS: readers and writers convert between these arrays and the
+ * text formats LifeWiki and Golly publish, so any pattern from the Life
+ * community can be pasted in or kept as a file next to the game:
+ * - RLE (parseRLE/toRLE): run length encoded, with rule header
+ * - Plaintext .cells (parsePlaintext/toPlaintext): rows of . and O
+ * - Life 1.06 (parseLife106/toLife106): one "x y" line per live cell
+ * parsePattern() detects the format (see detectPatternFormat()).
+ *
  * @author Game of Life Arcade
  * @license ISC
  */
@@ -151,6 +161,60 @@ export const Patterns = {
     [0, 0, 1, 1, 1, 0, 0, 0, 1, 1, 1, 0, 0]
   ],
 
+  /**
+   * CLOCK - 4x4 oscillator (spinning hands)
+   * Source: https://conwaylife.com/wiki/Clock
+   * Period: 2
+   */
+  CLOCK: [
+    [0, 0, 1, 0],
+    [1, 0, 1, 0],
+    [0, 1, 0, 1],
+    [0, 1, 0, 0]
+  ],
+
+  /**
+   * FIGURE_EIGHT - 6x6 oscillator (two 3x3 squares touching at a corner)
+   * Source: https://conwaylife.com/wiki/Figure_eight
+   * Period: 8
+   */
+  FIGURE_EIGHT: [
+    [1, 1, 1, 0, 0, 0],
+    [1, 1, 1, 0, 0, 0],
+    [1, 1, 1, 0, 0, 0],
+    [0, 0, 0, 1, 1, 1],
+    [0, 0, 0, 1, 1, 1],
+    [0, 0, 0, 1, 1, 1]
+  ],
+
+  /**
+   * PENTADECATHLON - 10x3 oscillator (grows wider and taller mid-cycle)
+   * Source: https://conwaylife.com/wiki/Pentadecathlon
+   * Period: 15
+   * Note: Leave 1 cell of margin around it (PatternRenderer's padding does)
+   */
+  PENTADECATHLON: [
+    [0, 0, 1, 0, 0, 0, 0, 1, 0, 0],
+    [1, 1, 0, 1, 1, 1, 1, 0, 1, 1],
+    [0, 0, 1, 0, 0, 0, 0, 1, 0, 0]
+  ],
+
+  /**
+   * QUEEN_BEE_SHUTTLE - 22x7 oscillator (queen bee bouncing between two blocks)
+   * Source: https://conwaylife.com/wiki/Queen_bee_shuttle
+   * Period: 30
+   * Note: Without the blocks the queen bee leaves debris; keep them in place
+   */
+  QUEEN_BEE_SHUTTLE: [
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [1, 1, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1],
+    [1, 1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1],
+    [0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  ],
+
   /**
    * GLIDER - 3x3 spaceship (diagonal movement)
    * Source: https://conwaylife.com/wiki/Glider
@@ -187,6 +251,97 @@ export const Patterns = {
     [0, 0, 0, 0, 0, 0, 0]   // Row 5: bottom padding
   ],
 
+  /**
+   * MIDDLEWEIGHT_SPACESHIP (MWSS) - 8x7 spaceship (flipped like LWSS, standard padding)
+   * Source: https://conwaylife.com/wiki/Middleweight_spaceship
+   * Speed: c/2 (moves 2 cells right per 4 generations in this orientation)
+   * Period: 4
+   */
+  MIDDLEWEIGHT_SPACESHIP: [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 1, 0, 0, 0, 0],
+    [0, 1, 0, 0, 0, 1, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0],
+    [0, 1, 0, 0, 0, 0, 1, 0],
+    [0, 0, 1, 1, 1, 1, 1, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0]
+  ],
+
+  /**
+   * HEAVYWEIGHT_SPACESHIP (HWSS) - 9x7 spaceship (flipped like LWSS, standard padding)
+   * Source: https://conwaylife.com/wiki/Heavyweight_spaceship
+   * Speed: c/2 (moves 2 cells right per 4 generations in this orientation)
+   * Period: 4
+   */
+  HEAVYWEIGHT_SPACESHIP: [
+    [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 1, 1, 0, 0, 0, 0],
+    [0, 1, 0, 0, 0, 0, 1, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 1, 0],
+    [0, 1, 0, 0, 0, 0, 0, 1, 0],
+    [0, 0, 1, 1, 1, 1, 1, 1, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0]
+  ],
+
+  /**
+   * GOSPER_GLIDER_GUN - 36x9 gun (first known gun, Bill Gosper 1970)
+   * Source: https://conwaylife.com/wiki/Gosper_glider_gun
+   * Period: 30 (one glider every 30 generations)
+   * Direction: Gliders leave towards the bottom-right in this orientation
+   * Great for turrets; an EATER_1 in the stream's path makes a shield
+   */
+  GOSPER_GLIDER_GUN: [
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1],
+    [1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  ],
+
+  /**
+   * EATER_1 - 4x4 still life that eats gliders (fishhook)
+   * Source: https://conwaylife.com/wiki/Eater_1
+   * Period: Stable (still life)
+   * Absorbs a glider arriving from the top-left (moving down-right, like
+   * GLIDER and the GOSPER_GLIDER_GUN stream) on the right lane, and survives
+   */
+  EATER_1: [
+    [1, 1, 0, 0],
+    [1, 0, 1, 0],
+    [0, 0, 1, 0],
+    [0, 0, 1, 1]
+  ],
+
+  /**
+   * BLINKER_PUFFER_1 - 9x18 puffer (flipped to move right, like LWSS)
+   * Source: https://conwaylife.com/wiki/Blinker_puffer_1
+   * Speed: c/2, Period: 8 (leaves a growing trail of blinkers)
+   */
+  BLINKER_PUFFER_1: [
+    [0, 0, 0, 0, 0, 1, 0, 0, 0],
+    [0, 0, 0, 1, 0, 0, 0, 1, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 1],
+    [0, 0, 0, 1, 0, 0, 0, 0, 1],
+    [0, 0, 0, 0, 1, 1, 1, 1, 1],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 1, 0],
+    [0, 0, 0, 1, 1, 1, 0, 1, 1],
+    [0, 0, 0, 0, 1, 1, 1, 1, 0],
+    [0, 0, 0, 0, 0, 1, 1, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 1, 1, 0, 0, 0, 0, 0],
+    [1, 0, 0, 0, 0, 1, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 0],
+    [1, 0, 0, 0, 0, 0, 1, 0, 0],
+    [0, 1, 1, 1, 1, 1, 1, 0, 0]
+  ],
+
   /**
    * R_PENTOMINO - Methuselah pattern
    * Source: https://conwaylife.com/wiki/R-pentomino
@@ -225,22 +380,52 @@ export const Patterns = {
 }
 
 /**
- * Stamp a pattern onto a grid at a specific location.
+ * Pattern categories for filtering and organization.
+ */
+export const PatternCategory = {
+  STILL_LIFE: 'still-life',
+  OSCILLATOR: 'oscillator',
+  SPACESHIP: 'spaceship',
+  METHUSELAH: 'methuselah',  // Small start, long evolution, then settles (explosions)
+  DIES_OUT: 'dies-out',      // Every cell eventually dies (short effects)
+  GUN: 'gun',                // Stationary, emits spaceships (turrets)
+  EATER: 'eater',            // Still life that survives eating spaceships (shields)
+  PUFFER: 'puffer'           // Moving, leaves debris behind (trails, mines)
+}
+
+/**
+ * Row-major cells of a pattern source.
+ * Lets every helper take either a raw array or a Pattern (see Pattern.js).
+ *
+ * @param {number[][]|Pattern} pattern - Row-major array or Pattern
+ * @returns {number[][]} Row-major cells (pattern[row][col]); not a copy
  *
- * @param {number[][]} grid - The target grid (modified in place)
- * @param {number[][]} pattern - The pattern to stamp
+ * @example
+ * patternCells(new Pattern(Patterns.GLIDER)) // Same cells as Patterns.GLIDER
+ */
+export function patternCells(pattern) {
+  return Array.isArray(pattern) ? pattern : pattern.cells
+}
+
+/**
+ * Stamp a pattern onto a column-major grid (grid[x][y], like
+ * GoLEngine.getPattern()) at a specific location.
+ *
+ * @param {number[][]} grid - The target grid, grid[x][y] (modified in place)
+ * @param {number[][]|Pattern} pattern - The pattern to stamp (row-major, or a Pattern)
  * @param {number} startX - Starting column index
  * @param {number} startY - Starting row index
  * @param {number} cols - Number of columns in grid
  * @param {number} rows - Number of rows in grid
  */
 export function stampPattern(grid, pattern, startX, startY, cols, rows) {
-  for (let x = 0; x < pattern.length; x++) {
-    for (let y = 0; y < pattern[x].length; y++) {
-      const gridX = startX + x
-      const gridY = startY + y
+  const cells = patternCells(pattern)
+  for (let row = 0; row < cells.length; row++) {
+    for (let col = 0; col < cells[row].length; col++) {
+      const gridX = startX + col
+      const gridY = startY + row
       if (gridX >= 0 && gridX < cols && gridY >= 0 && gridY < rows) {
-        grid[gridX][gridY] = pattern[x][y]
+        grid[gridX][gridY] = cells[row][col]
       }
     }
   }
@@ -249,10 +434,12 @@ export function stampPattern(grid, pattern, startX, startY, cols, rows) {
 /**
  * Rotate a pattern 90 degrees clockwise.
  *
- * @param {number[][]} pattern - Pattern to rotate
- * @returns {number[][]} Rotated pattern
+ * @param {number[][]|Pattern} pattern - Pattern to rotate
+ * @returns {number[][]|Pattern} Rotated pattern (a Pattern stays a Pattern, with its metadata)
  */
 export function rotatePattern90(pattern) {
+  if (!Array.isArray(pattern)) return pattern.rotate(1)
+
   const rows = pattern.length
   const cols = pattern[0].length
   const rotated = []
@@ -270,19 +457,445 @@ export function rotatePattern90(pattern) {
 /**
  * Flip a pattern horizontally.
  *
- * @param {number[][]} pattern - Pattern to flip
- * @returns {number[][]} Flipped pattern
+ * @param {number[][]|Pattern} pattern - Pattern to flip
+ * @returns {number[][]|Pattern} Flipped pattern (a Pattern stays a Pattern, with its metadata)
  */
 export function flipPatternHorizontal(pattern) {
+  if (!Array.isArray(pattern)) return pattern.flipX()
   return pattern.map(row => [...row].reverse())
 }
 
 /**
  * Flip a pattern vertically.
  *
- * @param {number[][]} pattern - Pattern to flip
- * @returns {number[][]} Flipped pattern
+ * @param {number[][]|Pattern} pattern - Pattern to flip
+ * @returns {number[][]|Pattern} Flipped pattern (a Pattern stays a Pattern, with its metadata)
  */
 export function flipPatternVertical(pattern) {
+  if (!Array.isArray(pattern)) return pattern.flipY()
   return [...pattern].reverse()
 }
+
+// ============================================
+// TEXT PATTERN FORMATS
+// ============================================
+
+/**
+ * Text pattern formats understood by parsePattern().
+ */
+export const PatternFormat = {
+  RLE: 'rle',              // Run Length Encoded (.rle)
+  PLAINTEXT: 'plaintext',  // LifeWiki plaintext (.cells)
+  LIFE_106: 'life1.06'     // Life 1.06 coordinate list (.lif, .life)
+}
+
+/**
+ * Detect the format of a text pattern.
+ *
+ * - Life 1.06: "#Life 1.06" header, or only "x y" integer lines
+ * - Plaintext: only `!` comment lines and rows of `.`/`O` (`*` also accepted)
+ * - RLE: "x = ..." header line, or a body terminated by `!`
+ *
+ * @param {*} text - Candidate (pattern name, file contents...)
+ * @returns {string|null} PatternFormat value, or null if not a text pattern
+ *
+ * @example
+ * detectPatternFormat('!Name: Glider\n.O.\n..O\nOOO')  // 'plaintext'
+ * detectPatternFormat('GLIDER')                         // null
+ */
+export function detectPatternFormat(text) {
+  if (typeof text !== 'string') return null
+
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '')
+  if (lines.length === 0) return null
+
+  if (/^#Life\s+1\.06/i.test(lines[0]) || lines.every(line => /^-?\d+\s+-?\d+$/.test(line))) {
+    return PatternFormat.LIFE_106
+  }
+  if (lines.every(line => line.startsWith('!') || /^[.O*]+$/.test(line))) {
+    return PatternFormat.PLAINTEXT
+  }
+
+  const body = lines.filter(line => !line.startsWith('#'))
+  if (body.length > 0 && (/^x\s*=\s*\d+/.test(body[0]) || /^[\dbo$.A-Xp-y]*!/.test(body.join('').replace(/\s/g, '')))) {
+    return PatternFormat.RLE
+  }
+  return null
+}
+
+/**
+ * Check whether text is an RLE pattern (see detectPatternFormat()).
+ *
+ * @param {*} text - Candidate (pattern name, RLE text...)
+ * @returns {boolean} True for RLE text
+ *
+ * @example
+ * isRLE('x = 3, y = 3\nbo$2bo$3o!')  // true
+ * isRLE('GLIDER')                    // false
+ */
+export function isRLE(text) {
+  return detectPatternFormat(text) === PatternFormat.RLE
+}
+
+/**
+ * Parse a text pattern in any PatternFormat, detected automatically.
+ *
+ * @param {string} text - Pattern text (e.g. a .rle, .cells or .lif file's contents)
+ * @returns {Object} Result of parseRLE(), parsePlaintext() or parseLife106(),
+ *   plus format (PatternFormat value); pattern is always row-major
+ * @throws {Error} If the format is not recognized or the text is invalid
+ *
+ * @example
+ * // p5.js: loadStrings() in preload(), then
+ * const { pattern } = parsePattern(lines.join('\n'))
+ * enemy.gol.setPattern(pattern, 1, 1)
+ */
+export function parsePattern(text) {
+  const format = detectPatternFormat(text)
+  switch (format) {
+    case PatternFormat.RLE:
+      return { ...parseRLE(text), format }
+    case PatternFormat.PLAINTEXT:
+      return { ...parsePlaintext(text), format }
+    case PatternFormat.LIFE_106:
+      return { ...parseLife106(text), format }
+    default:
+      throw new Error(`[Patterns] Unknown pattern format. Must be one of: ${Object.values(PatternFormat).join(', ')}`)
+  }
+}
+
+/**
+ * Parse a plaintext (.cells) pattern: `.` dead, `O` alive, `!` comment lines.
+ * A "!Name: ..." comment gives the name. Short rows are padded with dead cells.
+ *
+ * @param {string} text - Plaintext pattern
+ * @returns {Object} { pattern: number[][] (row-major), width, height, name: string|null, comments: string[] }
+ * @throws {Error} If a row contains anything but `.`, `O` or `*`
+ *
+ * @example
+ * parsePlaintext('!Name: Blinker\nOOO').pattern  // [[1, 1, 1]]
+ */
+export function parsePlaintext(text) {
+  const result = { pattern: [], width: 0, height: 0, name: null, comments: [] }
+  const rows = []
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trimEnd()
+    if (line.startsWith('!')) {
+      const comment = line.slice(1).trim()
+      const name = comment.match(/^Name:\s*(.*)$/i)
+      if (name) result.name = name[1]
+      else result.comments.push(comment)
+      continue
+    }
+
+    const invalid = line.match(/[^.O*]/)
+    if (invalid) {
+      throw new Error(`[Patterns] Invalid plaintext pattern: unexpected '${invalid[0]}'`)
+    }
+    rows.push(line)
+  }
+
+  // Trailing blank lines are file endings, not empty rows
+  while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop()
+
+  result.height = rows.length
+  result.width = rows.reduce((max, row) => Math.max(max, row.length), 0)
+  result.pattern = rows.map(row => {
+    const cells = new Array(result.width).fill(0)
+    for (let x = 0; x < row.length; x++) {
+      if (row[x] !== '.') cells[x] = 1
+    }
+    return cells
+  })
+  return result
+}
+
+/**
+ * Encode a pattern as plaintext (.cells). Any non-dead value is written as `O`.
+ *
+ * @param {number[][]|Pattern} pattern - Row-major pattern (same format as Patterns), or a Pattern
+ * @param {Object} [options] - Header options
+ * @param {string} [options.name] - Pattern name ("!Name:" line)
+ * @param {string|string[]} [options.comments] - Comment line(s)
+ * @returns {string} Plaintext pattern
+ *
+ * @example
+ * toPlaintext(Patterns.GLIDER, { name: 'Glider' })
+ * // '!Name: Glider\n.O.\n..O\nOOO'
+ */
+export function toPlaintext(pattern, options = {}) {
+  const cells = patternCells(pattern)
+  const lines = []
+  if (options.name) lines.push(`!Name: ${options.name}`)
+  for (const comment of [].concat(options.comments || [])) {
+    lines.push(`!${comment}`)
+  }
+
+  const width = cells.reduce((max, row) => Math.max(max, row.length), 0)
+  for (const row of cells) {
+    let line = ''
+    for (let x = 0; x < width; x++) {
+      line += row[x] ? 'O' : '.'
+    }
+    lines.push(line)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Parse a Life 1.06 pattern: "#Life 1.06" header, then one "x y" line per
+ * live cell (coordinates may be negative). Other # lines are ignored.
+ *
+ * @param {string} text - Life 1.06 pattern
+ * @returns {Object} Parsed pattern
+ *   {
+ *     pattern: number[][],  // Row-major cells, cropped to the live cells
+ *     width: number,
+ *     height: number,
+ *     originX: number,      // File coordinates of pattern[0][0]
+ *     originY: number
+ *   }
+ * @throws {Error} If a line is not a coordinate pair
+ *
+ * @example
+ * parseLife106('#Life 1.06\n0 -1\n1 0\n-1 1\n0 1\n1 1').pattern  // Glider
+ */
+export function parseLife106(text) {
+  const coordinates = []
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (line === '' || line.startsWith('#')) continue
+
+    const match = line.match(/^(-?\d+)\s+(-?\d+)$/)
+    if (!match) {
+      throw new Error(`[Patterns] Invalid Life 1.06 line: '${line}'`)
+    }
+    coordinates.push(parseInt(match[1], 10), parseInt(match[2], 10))
+  }
+
+  if (coordinates.length === 0) {
+    return { pattern: [], width: 0, height: 0, originX: 0, originY: 0 }
+  }
+
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (let k = 0; k < coordinates.length; k += 2) {
+    minX = Math.min(minX, coordinates[k])
+    maxX = Math.max(maxX, coordinates[k])
+    minY = Math.min(minY, coordinates[k + 1])
+    maxY = Math.max(maxY, coordinates[k + 1])
+  }
+
+  const width = maxX - minX + 1
+  const height = maxY - minY + 1
+  const pattern = []
+  for (let y = 0; y < height; y++) {
+    pattern.push(new Array(width).fill(0))
+  }
+  for (let k = 0; k < coordinates.length; k += 2) {
+    pattern[coordinates[k + 1] - minY][coordinates[k] - minX] = 1
+  }
+  return { pattern, width, height, originX: minX, originY: minY }
+}
+
+/**
+ * Encode a pattern as Life 1.06. Any non-dead value is written as a live cell.
+ *
+ * @param {number[][]|Pattern} pattern - Row-major pattern (same format as Patterns), or a Pattern
+ * @param {number} [originX] - File x coordinate of pattern[0][0] (default: the Pattern's originX, else 0)
+ * @param {number} [originY] - File y coordinate of pattern[0][0] (default: the Pattern's originY, else 0)
+ * @returns {string} Life 1.06 pattern
+ *
+ * @example
+ * toLife106(Patterns.BLINKER)  // '#Life 1.06\n1 0\n1 1\n1 2'
+ */
+export function toLife106(pattern, originX = pattern.originX || 0, originY = pattern.originY || 0) {
+  const cells = patternCells(pattern)
+  const lines = ['#Life 1.06']
+  for (let y = 0; y < cells.length; y++) {
+    for (let x = 0; x < cells[y].length; x++) {
+      if (cells[y][x]) lines.push(`${originX + x} ${originY + y}`)
+    }
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Parse a Run Length Encoded (RLE) pattern, the format used by LifeWiki,
+ * Golly and most pattern collections.
+ *
+ * Reads the `x = m, y = n, rule = ...` header and #N (name), #O (author) and
+ * #C/#c (comment) lines; other # lines (#R, #P offsets) are ignored.
+ * Multi-state bodies (`.`, `A`-`X`, `pA`-`yO`, as Golly writes Generations
+ * and colour rules) give cell values 0..255.
+ *
+ * @param {string} text - RLE text
+ * @returns {Object} Parsed pattern
+ *   {
+ *     pattern: number[][],   // Row-major cells (same format as Patterns)
+ *     width: number,
+ *     height: number,
+ *     rule: string|null,     // Header rule as written (e.g. 'B3/S23'), null if absent
+ *     name: string|null,     // #N
+ *     author: string|null,   // #O
+ *     comments: string[]     // #C / #c lines
+ *   }
+ * @throws {Error} If the body contains an unknown tag
+ *
+ * @example
+ * const { pattern, rule } = parseRLE('#N Glider\nx = 3, y = 3, rule = B3/S23\nbo$2bo$3o!')
+ * gol.setPattern(pattern, 2, 2)
+ */
+export function parseRLE(text) {
+  const result = { pattern: [], width: 0, height: 0, rule: null, name: null, author: null, comments: [] }
+  let body = ''
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (line.startsWith('#')) {
+      const value = line.slice(2).trim()
+      if (line[1] === 'N') result.name = value
+      else if (line[1] === 'O') result.author = value
+      else if (line[1] === 'C' || line[1] === 'c') result.comments.push(value)
+      continue
+    }
+
+    if (body === '' && /^x\s*=/.test(line)) {
+      for (const [, key, value] of line.matchAll(/(\w+)\s*=\s*([^,]+)/g)) {
+        if (key === 'x') result.width = parseInt(value, 10) || 0
+        else if (key === 'y') result.height = parseInt(value, 10) || 0
+        else if (key === 'rule') result.rule = value.trim()
+      }
+      continue
+    }
+
+    body += line
+    if (line.includes('!')) break
+  }
+
+  // Decode runs into sparse [x, y, state] triples first (the header size is only a hint)
+  const cells = []
+  let x = 0
+  let y = 0
+  let run = ''
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i]
+    if (ch === '!') break
+    if (/\s/.test(ch)) continue  // Wrapped or spaced bodies (pasted from wikis and forums)
+    if (ch >= '0' && ch <= '9') {
+      run += ch
+      continue
+    }
+
+    const count = run === '' ? 1 : parseInt(run, 10)
+    run = ''
+    if (ch === '$') {
+      y += count
+      x = 0
+      continue
+    }
+
+    let state
+    if (ch === 'b' || ch === '.') {
+      state = 0
+    } else if (ch === 'o') {
+      state = 1
+    } else if (ch >= 'A' && ch <= 'X') {
+      state = ch.charCodeAt(0) - 64
+    } else if (ch >= 'p' && ch <= 'y' && body[i + 1] >= 'A' && body[i + 1] <= 'X') {
+      state = (ch.charCodeAt(0) - 111) * 24 + body.charCodeAt(++i) - 64
+    } else {
+      throw new Error(`[Patterns] Invalid RLE: unexpected '${ch}'`)
+    }
+
+    if (state !== 0) {
+      for (let k = 0; k < count; k++) {
+        cells.push(x + k, y, state)
+      }
+      result.height = Math.max(result.height, y + 1)
+    }
+    x += count
+    result.width = Math.max(result.width, x)
+  }
+
+  for (let row = 0; row < result.height; row++) {
+    result.pattern.push(new Array(result.width).fill(0))
+  }
+  for (let k = 0; k < cells.length; k += 3) {
+    result.pattern[cells[k + 1]][cells[k]] = cells[k + 2]
+  }
+  return result
+}
+
+/**
+ * Encode a pattern as RLE (lines wrapped at 70 characters, like Golly).
+ * Two-state patterns use b/o; patterns with values above 1 use the
+ * multi-state alphabet (`.`, `A`-`X`, `pA`...).
+ *
+ * @param {number[][]|Pattern} pattern - Row-major pattern (same format as Patterns), or a Pattern
+ * @param {Object} [options] - Header options
+ * @param {string} [options.rule='B3/S23'] - Rulestring for the header
+ * @param {string} [options.name] - Pattern name (#N line)
+ * @param {string} [options.author] - Author (#O line)
+ * @param {string|string[]} [options.comments] - Comment line(s) (#C lines)
+ * @returns {string} RLE text
+ *
+ * @example
+ * toRLE(Patterns.GLIDER, { name: 'Glider' })
+ * // '#N Glider\nx = 3, y = 3, rule = B3/S23\nbo$2bo$3o!'
+ */
+export function toRLE(pattern, options = {}) {
+  const cells = patternCells(pattern)
+  const height = cells.length
+  const width = cells.reduce((max, row) => Math.max(max, row.length), 0)
+  const multiState = cells.some(row => row.some(state => state > 1))
+  const tag = (state) => {
+    if (!multiState) return state ? 'o' : 'b'
+    if (!state) return '.'
+    if (state <= 24) return String.fromCharCode(64 + state)
+    return String.fromCharCode(111 + Math.floor((state - 1) / 24)) + String.fromCharCode(65 + (state - 1) % 24)
+  }
+  const run = (count, text) => count > 1 ? `${count}${text}` : text
+
+  // Trailing dead cells and empty rows are implied
+  const tokens = []
+  let lastRow = 0
+  for (let y = 0; y < height; y++) {
+    const row = cells[y]
+    let end = row.length
+    while (end > 0 && !row[end - 1]) end--
+    if (end === 0) continue
+
+    if (y > lastRow) tokens.push(run(y - lastRow, '$'))
+    lastRow = y
+    for (let x = 0; x < end;) {
+      let next = x + 1
+      while (next < end && (row[next] || 0) === (row[x] || 0)) next++
+      tokens.push(run(next - x, tag(row[x] || 0)))
+      x = next
+    }
+  }
+  tokens.push('!')
+
+  const lines = []
+  if (options.name) lines.push(`#N ${options.name}`)
+  if (options.author) lines.push(`#O ${options.author}`)
+  for (const comment of [].concat(options.comments || [])) {
+    lines.push(`#C ${comment}`)
+  }
+  lines.push(`x = ${width}, y = ${height}, rule = ${options.rule || 'B3/S23'}`)
+
+  let line = ''
+  for (const token of tokens) {
+    if (line.length + token.length > 70) {
+      lines.push(line)
+      line = ''
+    }
+    line += token
+  }
+  lines.push(line)
+  return lines.join('\n')
+}
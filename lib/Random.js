@@ -0,0 +1,209 @@
+/**
+ * Seedable pseudo-random number generator for reproducible runs.
+ *
+ * Every random choice in the framework (GoLEngine.randomSeed, GoLHelpers,
+ * createPatternRenderer, game spawns) draws from a SeededRandom. By default
+ * they share `globalRandom`, so one call to setGlobalSeed() makes a whole
+ * run reproducible: same seed → same spawns, particle shapes and obstacles.
+ *
+ * USE CASES:
+ * - Bug reports: log the seed, replay the exact run
+ * - Daily-seed runs: setGlobalSeed(dailySeed()) gives everyone the same day
+ * - Automated tests: fixed seed, deterministic assertions
+ *
+ * ALGORITHM: mulberry32 (32-bit state, fast, good enough for games; not
+ * suitable for cryptography). String seeds are hashed with FNV-1a.
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+/**
+ * Seeded pseudo-random number generator.
+ *
+ * @example
+ * const rng = new SeededRandom(42)
+ * rng.next()              // 0.6011037519201636 (same every run)
+ * rng.range(-30, 30)      // Float in [-30, 30)
+ * rng.int(0, 5)           // Integer in [0, 5)
+ * rng.pick(['A', 'B'])    // Random element
+ */
+class SeededRandom {
+  /**
+   * Create a generator.
+   *
+   * @param {number|string} [seed] - Seed (numbers and strings accepted; default: time-based)
+   */
+  constructor(seed = randomSeedValue()) {
+    this.setSeed(seed)
+  }
+
+  /**
+   * Restart the sequence from a seed.
+   *
+   * @param {number|string} seed - Seed (e.g. 12345 or '2026-01-31')
+   * @throws {Error} If the seed is not a number or string
+   */
+  setSeed(seed) {
+    if (typeof seed === 'string') {
+      this._state = hashString(seed)
+    } else if (typeof seed === 'number' && Number.isFinite(seed)) {
+      this._state = seed >>> 0
+    } else {
+      throw new Error(`[Random] Seed must be a number or string, got ${typeof seed}`)
+    }
+    this.seed = seed
+  }
+
+  /**
+   * Get the seed the current sequence started from.
+   *
+   * @returns {number|string} Seed passed to the constructor or setSeed()
+   */
+  getSeed() {
+    return this.seed
+  }
+
+  /**
+   * Next float in [0, 1). Drop-in replacement for Math.random().
+   *
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    // mulberry32
+    this._state = (this._state + 0x6d2b79f5) >>> 0
+    let t = this._state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Float in [min, max). Replacement for p5 random(min, max).
+   *
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min)
+  }
+
+  /**
+   * Integer in [min, max).
+   *
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} Integer in [min, max)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min))
+  }
+
+  /**
+   * Random element of an array. Replacement for p5 random(array).
+   *
+   * @param {Array} array - Non-empty array
+   * @returns {*} Random element
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)]
+  }
+
+  /**
+   * True with probability p.
+   *
+   * @param {number} p - Probability (0.0-1.0)
+   * @returns {boolean} True with probability p
+   */
+  chance(p) {
+    return this.next() < p
+  }
+
+  /**
+   * Create an independent generator seeded from this one.
+   * Use to give a subsystem its own stream, so extra draws elsewhere
+   * don't shift its sequence.
+   *
+   * @returns {SeededRandom} New generator
+   *
+   * @example
+   * const cloudRng = globalRandom.fork()  // Clouds no longer affect obstacle spawns
+   */
+  fork() {
+    return new SeededRandom(Math.floor(this.next() * 4294967296))
+  }
+
+  /**
+   * Save the position in the sequence.
+   *
+   * @returns {number} Internal state (pass to setState())
+   */
+  getState() {
+    return this._state
+  }
+
+  /**
+   * Restore a position saved with getState().
+   *
+   * @param {number} state - Internal state
+   */
+  setState(state) {
+    this._state = state >>> 0
+  }
+}
+
+/**
+ * Shared generator used by default across the framework.
+ * Time-seeded until setGlobalSeed() is called.
+ */
+const globalRandom = new SeededRandom()
+
+/**
+ * Reseed the shared generator (reseeds in place, so existing references stay valid).
+ *
+ * @param {number|string} seed - Seed
+ *
+ * @example
+ * setGlobalSeed(12345)         // Reproducible run
+ * setGlobalSeed(dailySeed())   // Same run for everyone today
+ */
+function setGlobalSeed(seed) {
+  globalRandom.setSeed(seed)
+  console.log(`[Random] Global seed: ${seed}`)
+}
+
+/**
+ * Seed string for a calendar day (UTC), for daily-seed runs.
+ *
+ * @param {Date} [date=new Date()] - Day
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function dailySeed(date = new Date()) {
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Time-based seed for unseeded runs.
+ *
+ * @returns {number} 32-bit seed
+ */
+function randomSeedValue() {
+  return (Date.now() ^ Math.floor(Math.random() * 4294967296)) >>> 0
+}
+
+/**
+ * FNV-1a hash of a string.
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619)
+  }
+  return hash >>> 0
+}
+
+export { SeededRandom, globalRandom, setGlobalSeed, dailySeed }
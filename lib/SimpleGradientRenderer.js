@@ -18,7 +18,22 @@ const CELL_STATES = {
   DEAD: 0,
   ALIVE: 1
 }
-const { ALIVE } = CELL_STATES
+const { DEAD, ALIVE } = CELL_STATES
+
+// Hexagonal neighborhood (GoLEngine Neighborhood.HEXAGONAL): rows are sqrt(3)/2 cells apart
+const HEXAGONAL = 'hexagonal'
+const HEX_ROW_FACTOR = Math.sqrt(3) / 2
+
+/**
+ * How dying cells of Generations rules (states 2..C-1) are drawn.
+ * Decay steps down evenly from 1 (a live cell) towards 0: (C-2)/(C-1) for
+ * the first dying state, 1/(C-1) for the last.
+ */
+const DecayMode = {
+  ALPHA: 'alpha',            // Fade out with transparency
+  BRIGHTNESS: 'brightness',  // Darken towards black
+  NONE: 'none'               // Draw only live cells (state 1)
+}
 
 /**
  * Ultra-simple gradient renderer with global background gradient.
@@ -36,6 +51,8 @@ class SimpleGradientRenderer {
    * @param {Object} options - Configuration options
    * @param {boolean} options.useCache - Enable gradient cache for performance (default: true)
    * @param {number} options.cacheSize - Cache texture size (default: 512)
+   * @param {string} options.decayMode - How dying Generations cells fade (see DecayMode, default: 'alpha')
+   * @param {number} options.presetCacheSize - Cache texture size per colour-rule preset (default: 256)
    *
    * @example
    * // In p5.js sketch with cache (RECOMMENDED for mobile)
@@ -67,10 +84,20 @@ class SimpleGradientRenderer {
     // Control points for smooth gradient
     this.controlPoints = 20
 
+    // Dying cell rendering for Generations rules
+    this.decayMode = options.decayMode || DecayMode.ALPHA
+    if (!Object.values(DecayMode).includes(this.decayMode)) {
+      throw new Error(`[SimpleGradientRenderer] Invalid decayMode: ${this.decayMode}. Must be one of: ${Object.values(DecayMode).join(', ')}`)
+    }
+
     // Gradient cache for performance (mobile optimization)
     this.useCache = options.useCache !== undefined ? options.useCache : true
     this.gradientCache = null
 
+    // Per-preset caches for colour rules (created on first use, see prepareColorPresets())
+    this.presetCacheSize = options.presetCacheSize || 256
+    this._presetCaches = new Map()
+
     if (this.useCache) {
       // Initialize cache (one-time prebaking cost ~200ms)
       console.log('[SimpleGradientRenderer] Initializing gradient cache...')
@@ -116,6 +143,52 @@ class SimpleGradientRenderer {
     return this._getGradientColorRuntime(screenX, screenY)
   }
 
+  /**
+   * Get color from a gradient preset's palette (colour rules, see renderMaskedGrid()).
+   * Same noise field as getGradientColor(), so teams flow alike but stay distinguishable.
+   *
+   * @param {object} preset - Gradient preset (e.g. TEAM_PRESETS[Team.ENEMY])
+   * @param {number} screenX - X position in screen coordinates
+   * @param {number} screenY - Y position in screen coordinates
+   * @returns {number[]} RGB color array [r, g, b]
+   */
+  getPresetColor(preset, screenX, screenY) {
+    if (this.useCache) {
+      return this._getPresetCache(preset).getAnimatedColor(screenX, screenY, this.animationOffset)
+    }
+    return this._getGradientColorRuntime(screenX, screenY, preset.palette)
+  }
+
+  /**
+   * Pre-render caches for colour-rule presets during setup, so the first
+   * frame that shows a colour doesn't pay the prebaking cost.
+   *
+   * @param {object} colorPresets - Colour → preset map (e.g. TEAM_PRESETS)
+   *
+   * @example
+   * maskedRenderer.prepareColorPresets(TEAM_PRESETS)
+   */
+  prepareColorPresets(colorPresets) {
+    if (!this.useCache) return
+    Object.values(colorPresets).forEach(preset => this._getPresetCache(preset))
+  }
+
+  /**
+   * Gradient cache for a preset's palette (created on first use).
+   *
+   * @private
+   * @param {object} preset - Gradient preset
+   * @returns {GradientCache} Cache for the preset
+   */
+  _getPresetCache(preset) {
+    let cache = this._presetCaches.get(preset)
+    if (!cache) {
+      cache = new GradientCache(this.p5, this.presetCacheSize, preset.palette, 0.003, 12345)
+      this._presetCaches.set(preset, cache)
+    }
+    return cache
+  }
+
   /**
    * Runtime Perlin noise implementation (fallback when cache disabled).
    *
@@ -125,9 +198,10 @@ class SimpleGradientRenderer {
    * @private
    * @param {number} screenX - X position in screen coordinates
    * @param {number} screenY - Y position in screen coordinates
+   * @param {Array<number[]>} [palette=this.palette] - Palette to sample
    * @returns {number[]} RGB color array [r, g, b]
    */
-  _getGradientColorRuntime(screenX, screenY) {
+  _getGradientColorRuntime(screenX, screenY, palette = this.palette) {
     // Noise scale - controls the "zoom" of the noise pattern
     const noiseScale = 0.0002
 
@@ -141,7 +215,7 @@ class SimpleGradientRenderer {
     // Defensive check: if noise returns NaN, use simple fallback
     if (isNaN(noiseValue)) {
       console.warn('[SimpleGradientRenderer] noise() returned NaN at', screenX, screenY, '- using first palette color')
-      return this.palette[0] || [255, 255, 255]
+      return palette[0] || [255, 255, 255]
     }
 
     // Map noise (0.0 to 1.0) to color palette with smooth interpolation
@@ -149,22 +223,22 @@ class SimpleGradientRenderer {
 
     // Map to control points for smooth color transitions
     const colorIndex = t * (this.controlPoints - 1)
-    const i1 = Math.floor(colorIndex) % this.palette.length
-    const i2 = (i1 + 1) % this.palette.length
+    const i1 = Math.floor(colorIndex) % palette.length
+    const i2 = (i1 + 1) % palette.length
     const localT = colorIndex - Math.floor(colorIndex)
 
     // Interpolate between colors
-    const c1 = this.palette[i1]
-    const c2 = this.palette[i2]
+    const c1 = palette[i1]
+    const c2 = palette[i2]
 
     // Defensive check for undefined palette colors
     if (!c1 || !c2 || !Array.isArray(c1) || !Array.isArray(c2) ||
         c1.length < 3 || c2.length < 3 ||
         typeof c1[0] !== 'number' || typeof c2[0] !== 'number') {
       console.error('[SimpleGradientRenderer] Invalid palette data:', {
-        i1, i2, paletteLength: this.palette.length, c1, c2
+        i1, i2, paletteLength: palette.length, c1, c2
       })
-      return this.palette[0] || [255, 255, 255]
+      return palette[0] || [255, 255, 255]
     }
 
     const r = this.p5.lerp(c1[0], c2[0], localT)
@@ -180,11 +254,25 @@ class SimpleGradientRenderer {
    * Only alive cells are rendered, each sampling the gradient at its center position.
    * This creates an organic, flowing appearance as the GoL evolves.
    *
+   * With a Generations rule (engine.rule.family 'generations') dying cells are
+   * drawn too, faded according to this.decayMode so trails visibly decay.
+   *
+   * With a colour rule (Rules.IMMIGRATION, Rules.QUADLIFE) and a gradientConfig
+   * carrying a colour map (see withColorPresets()), each cell colour is drawn
+   * with its own preset's palette; colours without a preset use the global gradient.
+   *
+   * If gradientConfig has an age mapping (see withAgeMapping()) and the engine
+   * tracks ages ({ trackAge: true }), live cells are tinted by their age.
+   *
+   * Hexagonal rules (e.g. Rules.HEX_LIFE) are drawn as pointy-top hexagons
+   * cellSize wide, centered where square cells would be centered, except that
+   * rows are cellSize * √3/2 apart and odd rows shift right by half a cell.
+   *
    * @param {GoLEngine} engine - GoL engine instance
    * @param {number} x - Top-left X position of grid
    * @param {number} y - Top-left Y position of grid
    * @param {number} cellSize - Size of each cell in pixels
-   * @param {object} gradientConfig - Not used (kept for API compatibility)
+   * @param {object} gradientConfig - Gradient preset; only its optional `age` and `colors` maps are used
    *
    * @example
    * const player = {
@@ -198,24 +286,47 @@ class SimpleGradientRenderer {
   renderMaskedGrid(engine, x, y, cellSize, gradientConfig) {
     const cols = engine.cols
     const rows = engine.rows
+    const states = engine.rule ? engine.rule.states : 2
+    const family = engine.rule ? engine.rule.family : 'life'
+    const live = engine.rule ? engine.rule.live : null
+    const drawDying = family === 'generations' && this.decayMode !== DecayMode.NONE
+    const colorPresets = family === 'colors' && gradientConfig && gradientConfig.colors
+      ? gradientConfig.colors : null
+    const ageMapping = gradientConfig && gradientConfig.age &&
+      engine.isTrackingAge && engine.isTrackingAge() ? gradientConfig.age : null
+    const hex = engine.rule && engine.rule.neighborhood === HEXAGONAL
+    const rowHeight = hex ? cellSize * HEX_ROW_FACTOR : cellSize
 
     this.p5.push()
     this.p5.noStroke()
 
     for (let gx = 0; gx < cols; gx++) {
       for (let gy = 0; gy < rows; gy++) {
-        if (engine.current[gx][gy] === ALIVE) {
-          const px = x + gx * cellSize
-          const py = y + gy * cellSize
-
-          // Get color from global gradient with noise at screen position
-          const [r, g, b] = this.getGradientColor(
-            px + cellSize / 2,
-            py + cellSize / 2
-          )
-
-          this.p5.fill(r, g, b)
-          this.p5.rect(px, py, cellSize, cellSize)
+        const state = engine.current[gx][gy]
+        const alive = live ? live[state] === 1 : state === ALIVE
+        if (alive || (drawDying && state !== DEAD)) {
+          const px = x + gx * cellSize + (hex && (gy & 1) ? cellSize / 2 : 0)
+          const py = y + gy * rowHeight
+
+          // Get color from global gradient (or the cell colour's preset) with noise at screen position
+          const preset = colorPresets && colorPresets[state]
+          const [r, g, b] = preset
+            ? this.getPresetColor(preset, px + cellSize / 2, py + cellSize / 2)
+            : this.getGradientColor(px + cellSize / 2, py + cellSize / 2)
+
+          if (alive && ageMapping) {
+            this.fillAged(r, g, b, engine.getCellAge(gx, gy), ageMapping)
+          } else if (alive) {
+            this.p5.fill(r, g, b)
+          } else {
+            this.fillDecayed(r, g, b, this.getDecay(state, states))
+          }
+
+          if (hex) {
+            this.drawHexagon(px + cellSize / 2, py + cellSize / 2, cellSize)
+          } else {
+            this.p5.rect(px, py, cellSize, cellSize)
+          }
         }
       }
     }
@@ -223,6 +334,79 @@ class SimpleGradientRenderer {
     this.p5.pop()
   }
 
+  /**
+   * Draw a pointy-top hexagon with the current fill.
+   *
+   * @param {number} cx - Center X
+   * @param {number} cy - Center Y
+   * @param {number} width - Flat-to-flat width (the cell size)
+   */
+  drawHexagon(cx, cy, width) {
+    const radius = width / Math.sqrt(3)
+    this.p5.beginShape()
+    for (let k = 0; k < 6; k++) {
+      const angle = Math.PI / 6 + k * Math.PI / 3
+      this.p5.vertex(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle))
+    }
+    this.p5.endShape(this.p5.CLOSE)
+  }
+
+  /**
+   * Decay factor of a dying Generations cell.
+   *
+   * @param {number} state - Cell state (2..states-1)
+   * @param {number} states - Number of states in the rule
+   * @returns {number} (states-2)/(states-1) for the first dying state, down to 1/(states-1) for the last
+   *
+   * @example
+   * renderer.getDecay(2, 4)  // 0.67 (Star Wars: first of two dying states)
+   */
+  getDecay(state, states) {
+    return 1 - (state - 1) / (states - 1)
+  }
+
+  /**
+   * Set fill for a dying cell according to this.decayMode.
+   *
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} decay - Decay factor (0-1, see getDecay())
+   */
+  fillDecayed(r, g, b, decay) {
+    if (this.decayMode === DecayMode.BRIGHTNESS) {
+      this.p5.fill(r * decay, g * decay, b * decay)
+    } else {
+      this.p5.fill(r, g, b, 255 * decay)
+    }
+  }
+
+  /**
+   * Set fill for a live cell according to its age.
+   *
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} age - Cell age in generations (see GoLEngine.getCellAge())
+   * @param {object} ageMapping - Age mapping (see AGE_MAPPINGS)
+   */
+  fillAged(r, g, b, age, ageMapping) {
+    const { mode, maxAge, from, to } = ageMapping
+    const t = maxAge > 0 ? Math.min(age / maxAge, 1) : 1
+    const amount = from + (to - from) * t
+
+    if (mode === 'color') {
+      const [cr, cg, cb] = ageMapping.color
+      this.p5.fill(
+        r + (cr - r) * amount,
+        g + (cg - g) * amount,
+        b + (cb - b) * amount
+      )
+    } else {
+      this.p5.fill(r * amount, g * amount, b * amount)
+    }
+  }
+
   /**
    * Create gradient image.
    * Simple vertical gradient using p5.js.
@@ -309,4 +493,4 @@ class SimpleGradientRenderer {
   }
 }
 
-export { SimpleGradientRenderer }
+export { SimpleGradientRenderer, DecayMode }
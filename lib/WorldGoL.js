@@ -0,0 +1,250 @@
+/**
+ * Shared world grid where GoL entities physically interact.
+ *
+ * Normally every entity owns an isolated GoLEngine, so overlapping patterns
+ * never touch. A WorldGoL is one big GoLEngine covering the play area:
+ * attached entities stamp their cells into it, the world evolves under its
+ * rule, and each entity reads its own region back. Colliding patterns
+ * annihilate, merge or spawn debris; debris outside every entity keeps
+ * evolving in the world.
+ *
+ * FLOW (per world generation):
+ * 1. Lift: erase each entity's cells from where it was last stamped
+ * 2. Stamp: write each entity's cells at its current position
+ *    (entity.x/entity.y in pixels, snapped to the world's cell grid)
+ * 3. Evolve: world.gol.update() with the world's rule and boundary
+ * 4. Read back: each entity's grid becomes the world region under it
+ *    (through GoLEngine.applyGenerations(), so history, ages, birth/death
+ *    and state events keep working); debris drifting into an entity's
+ *    region joins the entity and moves with it
+ *
+ * RULES OF THUMB:
+ * - Attached entities are stepped by the world: call world.updateThrottled()
+ *   instead of entity.gol.updateThrottled()
+ * - The world's rule applies to everything; entity rules, step() overrides
+ *   (MaskedGoL masks) and worker pools are bypassed while attached
+ * - Frozen entities (gol.freeze(), e.g. static still lifes) are stamped but
+ *   never read back: they act as solid walls that affect neighbors
+ * - Cells of an entity outside the world stay as they are
+ * - Render world.gol to draw debris (or everything, with one gradient)
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { GoLEngine, DEAD } from './GoLEngine.js'
+
+/**
+ * Shared GoL layer for entity interaction.
+ *
+ * @example
+ * const world = new WorldGoL(40, 64, { cellSize: 30, rule: Rules.CONWAY })
+ * world.add(explosion)   // { gol, x, y, cellSize }
+ * world.add(obstacle)
+ *
+ * function draw() {
+ *   world.updateThrottled(frameCount)
+ *   renderer.renderMaskedGrid(world.gol, world.x, world.y, world.cellSize)
+ * }
+ */
+class WorldGoL {
+  /**
+   * Create a world layer.
+   *
+   * @param {number} cols - World width in cells
+   * @param {number} rows - World height in cells
+   * @param {Object} [options] - World options, plus any GoLEngine option (rule, boundary, clock...)
+   * @param {number} [options.cellSize=30] - Cell size in pixels (entities must use the same)
+   * @param {number} [options.x=0] - World top-left x in pixels
+   * @param {number} [options.y=0] - World top-left y in pixels
+   * @param {number} [options.updateRateFPS=10] - World generations per second
+   */
+  constructor(cols, rows, options = {}) {
+    this.cellSize = options.cellSize || 30
+    this.x = options.x || 0
+    this.y = options.y || 0
+    this.gol = new GoLEngine(cols, rows, options.updateRateFPS || 10, options)
+
+    this._entities = new Map()  // entity -> { footprint: number[] (flat world x, y pairs) }
+  }
+
+  /**
+   * Attach an entity. Its cells join the world at the next generation.
+   *
+   * @param {Object} entity - Object with gol (GoLEngine), x and y in pixels, optional cellSize
+   * @throws {Error} If the entity has no GoLEngine or a different cell size
+   */
+  add(entity) {
+    if (!entity || !(entity.gol instanceof GoLEngine)) {
+      throw new Error('[WorldGoL] Entity needs a gol (GoLEngine instance)')
+    }
+    if (entity.cellSize && entity.cellSize !== this.cellSize) {
+      throw new Error(`[WorldGoL] Entity cell size ${entity.cellSize} does not match world cell size ${this.cellSize}`)
+    }
+
+    if (!this._entities.has(entity)) {
+      this._entities.set(entity, { footprint: [] })
+    }
+  }
+
+  /**
+   * Detach an entity (e.g. when it dies or leaves the screen).
+   *
+   * @param {Object} entity - Entity passed to add()
+   * @param {boolean} [leaveDebris=false] - Keep its cells in the world as free debris
+   *
+   * @example
+   * world.remove(enemy, true)  // Enemy shatters into debris that keeps evolving
+   */
+  remove(entity, leaveDebris = false) {
+    const entry = this._entities.get(entity)
+    if (!entry) return
+
+    if (!leaveDebris) {
+      this._lift(entry)
+    }
+    this._entities.delete(entity)
+  }
+
+  /**
+   * Check if an entity is attached.
+   *
+   * @param {Object} entity - Entity
+   * @returns {boolean} True if attached
+   */
+  has(entity) {
+    return this._entities.has(entity)
+  }
+
+  /**
+   * Run the world generations that are due (same throttle as GoLEngine.updateThrottled()).
+   *
+   * @param {number} frameCountOrDeltaMs - Frame count (frame clock) or p5.js deltaTime (time clock)
+   * @returns {boolean} True if at least one generation ran
+   */
+  updateThrottled(frameCountOrDeltaMs) {
+    const steps = this.gol.takeDueSteps(frameCountOrDeltaMs)
+    for (let i = 0; i < steps; i++) {
+      this.update()
+    }
+    return steps > 0
+  }
+
+  /**
+   * Run one world generation: lift, stamp, evolve, read back.
+   */
+  update() {
+    for (const entry of this._entities.values()) {
+      this._lift(entry)
+    }
+    for (const [entity, entry] of this._entities) {
+      this._stamp(entity, entry)
+    }
+
+    this.gol.update()
+
+    for (const [entity, entry] of this._entities) {
+      if (!entity.gol.isFrozen()) {
+        this._readBack(entity, entry)
+      }
+    }
+  }
+
+  /**
+   * World cell under an entity's top-left cell.
+   *
+   * @param {Object} entity - Attached entity
+   * @returns {Object} { x, y } in world cells (may be outside the world)
+   */
+  getCellPosition(entity) {
+    return {
+      x: Math.round((entity.x - this.x) / this.cellSize),
+      y: Math.round((entity.y - this.y) / this.cellSize)
+    }
+  }
+
+  /**
+   * Erase the cells an entity last put into (or took from) the world.
+   *
+   * @private
+   * @param {Object} entry - Entity entry
+   */
+  _lift(entry) {
+    const footprint = entry.footprint
+    for (let k = 0; k < footprint.length; k += 2) {
+      this.gol.writeCell(footprint[k], footprint[k + 1], DEAD)
+    }
+    entry.footprint = []
+  }
+
+  /**
+   * Write an entity's cells into the world at its current position.
+   * Live cells (any colour under colour rules) win over dying ones where entities overlap.
+   *
+   * @private
+   * @param {Object} entity - Attached entity
+   * @param {Object} entry - Entity entry
+   */
+  _stamp(entity, entry) {
+    const world = this.gol
+    const engine = entity.gol
+    const states = world.rule.states
+    const live = world.rule.live
+    const { x: originX, y: originY } = this.getCellPosition(entity)
+
+    for (let x = 0; x < engine.cols; x++) {
+      const worldX = originX + x
+      if (worldX < 0 || worldX >= world.cols) continue
+
+      for (let y = 0; y < engine.rows; y++) {
+        const worldY = originY + y
+        if (worldY < 0 || worldY >= world.rows) continue
+
+        const state = engine.getCell(x, y)
+        if (state === DEAD) continue
+
+        if (state < states && (live[state] || world.getCell(worldX, worldY) === DEAD)) {
+          world.writeCell(worldX, worldY, state)
+        }
+        entry.footprint.push(worldX, worldY)
+      }
+    }
+  }
+
+  /**
+   * Copy the world region under an entity into its grid as one generation.
+   *
+   * @private
+   * @param {Object} entity - Attached entity
+   * @param {Object} entry - Entity entry
+   */
+  _readBack(entity, entry) {
+    const world = this.gol
+    const engine = entity.gol
+    const cells = engine.cells.slice()
+    const { x: originX, y: originY } = this.getCellPosition(entity)
+    const footprint = []
+
+    for (let x = 0; x < engine.cols; x++) {
+      const worldX = originX + x
+      if (worldX < 0 || worldX >= world.cols) continue
+
+      for (let y = 0; y < engine.rows; y++) {
+        const worldY = originY + y
+        if (worldY < 0 || worldY >= world.rows) continue
+
+        const state = world.getCell(worldX, worldY)
+        cells[engine.index(x, y)] = state
+        if (state !== DEAD) {
+          footprint.push(worldX, worldY)
+        }
+      }
+    }
+
+    // Overlapping entities may claim the same cells; lifting both is harmless
+    entry.footprint = footprint
+    engine.applyGenerations(cells, 1)
+  }
+}
+
+export { WorldGoL }
@@ -0,0 +1,61 @@
+/**
+ * Regenerate PatternRenderer's catalogue tables by simulation.
+ *
+ * Runs classifyPattern() on every PatternName entry and rewrites the
+ * PatternClassification literal between the GENERATED markers in
+ * lib/PatternRenderer.js, so games get periods, categories and speeds
+ * without shipping PatternClassifier and HashLife.
+ *
+ * USAGE (after adding or changing catalogue patterns):
+ *   node scripts/generate-pattern-tables.mjs
+ *
+ * @author Game of Life Arcade
+ * @license ISC
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs'
+import { Patterns, PatternCategory } from '../lib/Patterns.js'
+import { PatternName } from '../lib/PatternRenderer.js'
+import { classifyPattern } from '../lib/PatternClassifier.js'
+
+const TARGET = new URL('../lib/PatternRenderer.js', import.meta.url)
+const BEGIN = '// BEGIN GENERATED PATTERN TABLES\n'
+const END = '// END GENERATED PATTERN TABLES\n'
+
+// Simulation cannot tell an eater from any other still life: it is defined by what it does to spaceships
+const CATEGORY_OVERRIDES = {
+  EATER_1: PatternCategory.EATER
+}
+
+/**
+ * JavaScript source for a value, in repo style (single quotes, spaced braces).
+ *
+ * @param {*} value - Number, string, null or plain object
+ * @returns {string} Source text
+ */
+function toSource(value) {
+  if (value === null) return 'null'
+  if (typeof value === 'string') return `'${value}'`
+  if (typeof value === 'object') {
+    const fields = Object.entries(value).map(([key, field]) => `${key}: ${toSource(field)}`)
+    return `{ ${fields.join(', ')} }`
+  }
+  return String(value)
+}
+
+const lines = Object.values(PatternName).map(name => {
+  const classification = classifyPattern(Patterns[name])
+  const category = CATEGORY_OVERRIDES[name] || classification.category
+  return `  ${name}: ${toSource({ ...classification, category })}`
+})
+
+const source = readFileSync(TARGET, 'utf8')
+const start = source.indexOf(BEGIN)
+const end = source.indexOf(END)
+if (start === -1 || end === -1) {
+  throw new Error('[generate-pattern-tables] GENERATED markers not found in lib/PatternRenderer.js')
+}
+
+const table = `export const PatternClassification = {\n${lines.join(',\n')}\n}\n`
+writeFileSync(TARGET, source.slice(0, start + BEGIN.length) + table + source.slice(end))
+console.log(`[generate-pattern-tables] ${lines.length} patterns classified`)